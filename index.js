@@ -11,12 +11,15 @@
 
 const CachedStorage = require('./src/storage/CachedStorage').CachedStorage;
 const ValidatedStorage = require('./src/storage/ValidatedStorage').ValidatedStorage;
+const PersistentStorage = require('./src/storage/PersistentStorage').PersistentStorage;
 const LocalStorage = require('./src/storage/LocalStorage').LocalStorage;
+const MemoryStorage = require('./src/storage/MemoryStorage').MemoryStorage;
 const RemoteStorage = require('./src/storage/RemoteStorage').RemoteStorage;
 const S3Storage = require('./src/storage/S3Storage').S3Storage;
 const HTMLEngine = require('./src/HTMLEngine').HTMLEngine;
 const WebEngine = require('./src/WebEngine').WebEngine;
 const DocumentRepository = require('./src/DocumentRepository').DocumentRepository;
+const shiftOptions = require('./src/utilities/Options').shiftOptions;
 
 
 /**
@@ -34,13 +37,38 @@ const DocumentRepository = require('./src/DocumentRepository').DocumentRepositor
  * </pre>
  *
  * @param {Object} storage The storage mechanism used to maintain the documents.
+ * @param {Object} options An optional object containing the cache options (e.g. <code>{size: 1024}</code>).
  * @returns {Object} The new cached storage mechanism instance.
  */
-const cached = function(storage, debug) {
-    return new CachedStorage(storage, debug);
+const cached = function(storage, options, debug) {
+    return new CachedStorage(storage, options, debug);
 };
 exports.cached = cached;
 
+/**
+ * This function initializes a persistent storage mechanism. The contracts and certificates are
+ * cached in a local directory so that they survive process restarts. Since all cached contracts
+ * are immutable there are no cache consistency issues to worry about.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Object} storage The storage mechanism used to maintain the documents.
+ * @param {String} directory An optional directory in which to cache the contracts (the default
+ * is '~/.bali/cache/').
+ * @returns {Object} The new persistent storage mechanism instance.
+ */
+const persistent = function(storage, directory, debug) {
+    return new PersistentStorage(storage, directory, debug);
+};
+exports.persistent = persistent;
+
 /**
  * This function initializes a validated storage mechanism. Each document is validated before being
  * stored by the backing storage mechanism and after being retrieved from the backing storage
@@ -88,6 +116,27 @@ const local = function(notary, directory, debug) {
 };
 exports.local = local;
 
+/**
+ * This function initializes a process memory based storage mechanism. The documents do not
+ * outlive the running process so it should ONLY be used for testing and ephemeral services.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @returns {Object} The new memory-based storage mechanism instance.
+ */
+const memory = function(notary, debug) {
+    return new MemoryStorage(notary, debug);
+};
+exports.memory = memory;
+
 /**
  * This function initializes a remote storage mechanism proxy implementation. It accesses a
  * remote storage mechanism service via an HTTPS interface exposed at the specified URI.
@@ -103,10 +152,12 @@ exports.local = local;
  *
  * @param {DigitalNotary} notary An object that implements the digital notary API.
  * @param {Resource} uri A resource that defines the URI for the remote storage.
+ * @param {Object} options An optional object containing the request timeout and retry policy
+ * (e.g. <code>{timeout: 10, retries: 3, backoff: 0.1}</code>).
  * @returns {Object} The new remote storage mechanism proxy.
  */
-const remote = function(notary, uri, debug) {
-    return new RemoteStorage(notary, uri, debug);
+const remote = function(notary, uri, options, debug) {
+    return new RemoteStorage(notary, uri, options, debug);
 };
 exports.remote = remote;
 
@@ -150,14 +201,17 @@ exports.s3 = s3;
  * @returns {Object} The new storage mechanism instance.
  */
 const test = function(notary, directory, debug) {
-    return cached(validated(notary, local(notary, directory, debug), debug), debug);
+    return cached(validated(notary, local(notary, directory, debug), debug), {}, debug);
 };
 exports.test = test;
 
 /**
  * This function initializes a storage mechanism configured with a local, memory based cache that
  * maintains the documents using a remote storage mechanism.  It performs validation on each document
- * before storing it and after retrieving it from the remote storage mechanism.
+ * before storing it and after retrieving it from the remote storage mechanism.  If a directory
+ * is specified in the options, the contracts and certificates are also cached in that directory
+ * so that they need not be downloaded again each time the process is restarted.  Since the
+ * persistent cache requires a filesystem, it is only available when running under NodeJS.
  *
  * An optional debug argument may be specified that controls the level of debugging that
  * should be applied during execution. The allowed levels are as follows:
@@ -170,10 +224,17 @@ exports.test = test;
  *
  * @param {DigitalNotary} notary An object that implements the digital notary API.
  * @param {Resource} uri A resource that defines the URI for the remote storage.
+ * @param {Object} options An optional object containing the request timeout and retry policy
+ * for the remote storage, and the directory for the persistent cache (e.g.
+ * <code>{directory: os.homedir() + '/.bali/cache/'}</code>).
  * @returns {Object} The new storage mechanism instance.
  */
-const client = function(notary, uri, debug) {
-    return cached(validated(notary, remote(notary, uri, debug), debug), debug);
+const client = function(notary, uri, options, debug) {
+    // support the original signature: client(notary, uri, debug)
+    [options, debug] = shiftOptions(options, debug);
+    var storage = remote(notary, uri, options, debug);
+    if (options.directory) storage = persistent(storage, options.directory, debug);
+    return cached(validated(notary, storage, debug), {}, debug);
 };
 exports.client = client;
 
@@ -217,10 +278,13 @@ exports.service = service;
  * @param {DigitalNotary} notary An object that implements the digital notary API.
  * @param {Object} storage The storage mechanism maintaining the documents being managed
  * through the HTTP service interface.
+ * @param {Object} options An optional object containing the CORS policy for the engine (e.g.
+ * <code>{origins: ['https://example.com']}</code>) and the maximum number of recently used
+ * credentials that are remembered for each account (e.g. <code>{maxNonces: 10000}</code>).
  * @returns {HTMLEngine} The HTML engine.
  */
-const html = function(notary, storage, debug) {
-    return new HTMLEngine(notary, storage, debug);
+const html = function(notary, storage, options, debug) {
+    return new HTMLEngine(notary, storage, options, debug);
 };
 exports.html = html;
 
@@ -240,10 +304,13 @@ exports.html = html;
  * @param {DigitalNotary} notary An object that implements the digital notary API.
  * @param {Object} storage The storage mechanism maintaining the documents being managed
  * through the HTTP service interface.
+ * @param {Object} options An optional object containing the CORS policy for the engine (e.g.
+ * <code>{origins: ['https://example.com']}</code>) and the maximum number of recently used
+ * credentials that are remembered for each account (e.g. <code>{maxNonces: 10000}</code>).
  * @returns {WebEngine} The web service engine.
  */
-const web = function(notary, storage, debug) {
-    return new WebEngine(notary, storage, debug);
+const web = function(notary, storage, options, debug) {
+    return new WebEngine(notary, storage, options, debug);
 };
 exports.web = web;
 
@@ -98,17 +98,26 @@ const DocumentRepository = function(notary, storage, debug) {
      * the same tag and version already exists in the document repository, it is overwritten with
      * the new document. If not, a new document is created in the document repository.
      *
+     * If the digest from the citation of the previously saved document is specified, the
+     * document is only saved if the existing document has not been modified or deleted since
+     * then. Otherwise a <code>$documentModified</code> exception is thrown.
+     *
      * @param {Catalog} document A catalog containing the document.
+     * @param {Binary} digest The optional digest of the document as it was last retrieved.
      * @returns {Catalog} A catalog containing a citation to the saved document.
      */
-    this.saveDocument = async function(document) {
+    this.saveDocument = async function(document, digest) {
         try {
             if (this.debug > 1) {
                 bali.component.validateArgument('/bali/repositories/DocumentRepository', '$saveDocument', '$document', document, [
                     '/bali/collections/Catalog'
                 ]);
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$saveDocument', '$digest', digest, [
+                    '/javascript/Undefined',
+                    '/bali/elements/Binary'
+                ]);
             }
-            const citation = await storage.writeDocument(document);
+            const citation = await storage.writeDocument(document, digest);
             return citation;
         } catch (cause) {
             const exception = bali.exception({
@@ -116,6 +125,7 @@ const DocumentRepository = function(notary, storage, debug) {
                 $procedure: '$saveDocument',
                 $exception: '$unexpected',
                 $document: document,
+                $digest: digest,
                 $text: 'An unexpected error occurred while attempting to save a document.'
             }, cause);
             if (this.debug) console.error(exception.toString());
@@ -260,6 +270,186 @@ const DocumentRepository = function(notary, storage, debug) {
         }
     };
 
+    /**
+     * This method returns a list of the names of the contracts in the document repository that
+     * reside within the specified namespace. A large namespace may be listed a page at a time
+     * by passing in the last name from the previous page as the cursor.
+     *
+     * @param {Name} namespace The namespace (e.g. <code>/acme/invoices</code>) to be listed.
+     * @param {Name} cursor An optional name after which the listing should begin.
+     * @param {Number} size An optional maximum number of names to be returned.
+     * @returns {List} A list containing the names of the contracts within the namespace.
+     */
+    this.listContracts = async function(namespace, cursor, size) {
+        try {
+            if (this.debug > 1) {
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$listContracts', '$namespace', namespace, [
+                    '/javascript/String',
+                    '/bali/strings/Name'
+                ]);
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$listContracts', '$cursor', cursor, [
+                    '/javascript/Undefined',
+                    '/javascript/String',
+                    '/bali/strings/Name'
+                ]);
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$listContracts', '$size', size, [
+                    '/javascript/Undefined',
+                    '/javascript/Number'
+                ]);
+            }
+            const names = await storage.listNames(namespace, cursor, size);
+            return names;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/DocumentRepository',
+                $procedure: '$listContracts',
+                $exception: '$unexpected',
+                $namespace: namespace,
+                $text: 'An unexpected error occurred while attempting to list the contracts in a namespace.'
+            }, cause);
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns a list of the names of all versions of the contract family with the
+     * specified base name (e.g. <code>/acme/invoices/12345</code>). Each name consists of the
+     * base name followed by a version (e.g. <code>/acme/invoices/12345/v1.2</code>). The names
+     * are sorted from the earliest version to the latest version.
+     *
+     * @param {Name} baseName The name of the contract family without the version.
+     * @returns {List} A list containing the names of the versions of the contract.
+     */
+    this.listVersions = async function(baseName) {
+        try {
+            if (this.debug > 1) {
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$listVersions', '$baseName', baseName, [
+                    '/javascript/String',
+                    '/bali/strings/Name'
+                ]);
+            }
+            const depth = bali.component(baseName.toString()).getSize() + 1;
+            const names = (await storage.listNames(baseName)).toArray().filter(function(name) {
+                // only include the names whose last part is a version of the base name
+                return name.getSize() === depth && VERSION.test(name.getItem(-1));
+            });
+            names.sort(function(first, second) {
+                return bali.ranking(bali.component(first.getItem(-1)), bali.component(second.getItem(-1)));
+            });
+            return bali.list(names);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/DocumentRepository',
+                $procedure: '$listVersions',
+                $exception: '$unexpected',
+                $baseName: baseName,
+                $text: 'An unexpected error occurred while attempting to list the versions of a contract.'
+            }, cause);
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method attempts to retrieve the latest version of the contract family with the
+     * specified base name from the document repository.
+     *
+     * @param {Name} baseName The name of the contract family without the version.
+     * @returns {Catalog} A catalog containing the latest version of the contract or nothing if
+     * no version of it exists.
+     */
+    this.retrieveLatestContract = async function(baseName) {
+        try {
+            if (this.debug > 1) {
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$retrieveLatestContract', '$baseName', baseName, [
+                    '/javascript/String',
+                    '/bali/strings/Name'
+                ]);
+            }
+            const versions = await this.listVersions(baseName);
+            if (versions.getSize() > 0) {
+                const citation = await storage.readName(versions.getItem(-1));
+                const contract = await storage.readContract(citation);
+                return contract;
+            }
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/DocumentRepository',
+                $procedure: '$retrieveLatestContract',
+                $exception: '$unexpected',
+                $baseName: baseName,
+                $text: 'An unexpected error occurred while attempting to retrieve the latest version of a contract.'
+            }, cause);
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method retrieves the complete version history of the named contract from the
+     * document repository. Starting with the named contract it follows the chain of
+     * <code>$previous</code> citations back to the first version of the contract, verifying
+     * that each citation matches the contract that it cites. The resulting list of contracts
+     * is ordered from the first version to the named version.
+     *
+     * @param {Name} name The name of the contract whose history is to be retrieved.
+     * @returns {List} A list containing each version of the named contract or nothing if the
+     * named contract doesn't exist.
+     */
+    this.contractHistory = async function(name) {
+        try {
+            if (this.debug > 1) {
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$contractHistory', '$name', name, [
+                    '/javascript/String',
+                    '/bali/strings/Name'
+                ]);
+            }
+            var citation = await storage.readName(name);
+            if (!citation) return;
+            const contracts = [];
+            while (citation && !bali.areEqual(citation, bali.pattern.NONE)) {
+                const contract = await storage.readContract(citation);
+                if (!contract) {
+                    const exception = bali.exception({
+                        $module: '/bali/repositories/DocumentRepository',
+                        $procedure: '$contractHistory',
+                        $exception: '$missingContract',
+                        $name: name,
+                        $citation: citation,
+                        $text: 'A previous version of the named contract does not exist in the document repository.'
+                    });
+                    throw exception;
+                }
+                const document = contract.getAttribute('$document');
+                if (!(await notary.citationMatches(citation, document))) {
+                    const exception = bali.exception({
+                        $module: '/bali/repositories/DocumentRepository',
+                        $procedure: '$contractHistory',
+                        $exception: '$modifiedContract',
+                        $name: name,
+                        $citation: citation,
+                        $text: 'A version of the named contract does not match its citation.'
+                    });
+                    throw exception;
+                }
+                contracts.unshift(contract);  // the earliest version goes first
+                citation = document.getParameter('$previous');
+            }
+            return bali.list(contracts);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/DocumentRepository',
+                $procedure: '$contractHistory',
+                $exception: '$unexpected',
+                $name: name,
+                $text: 'An unexpected error occurred while attempting to retrieve the history of a named contract.'
+            }, cause);
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
     /**
      * This method checks out a new version of the named contract from the document repository.
      * If a version level is specified, that level will be incremented by one, otherwise, the
@@ -322,8 +512,13 @@ const DocumentRepository = function(notary, storage, debug) {
      * once again made available for processing by another process. Note: to avoid possible
      * collisions by multiple processes, the version number of a message whose lease has expired
      * will be incremented by one.
+     * @param {Number} deliveries The optional maximum number of times a message may be received
+     * from the message bag before it is moved to the dead-letter bag.
+     * @param {Name} deadLetters The optional name of an existing message bag that receives the
+     * messages that have reached the maximum number of deliveries. Both the maximum number of
+     * deliveries and the dead-letter bag must be specified for the limit to be enforced.
      */
-    this.createBag = async function(name, permissions, capacity, lease) {
+    this.createBag = async function(name, permissions, capacity, lease, deliveries, deadLetters) {
         try {
             if (this.debug > 1) {
                 bali.component.validateArgument('/bali/repositories/DocumentRepository', '$createBag', '$name', name, [
@@ -342,13 +537,37 @@ const DocumentRepository = function(notary, storage, debug) {
                     '/javascript/Undefined',
                     '/javascript/Number'
                 ]);
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$createBag', '$deliveries', deliveries, [
+                    '/javascript/Undefined',
+                    '/javascript/Number'
+                ]);
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$createBag', '$deadLetters', deadLetters, [
+                    '/javascript/Undefined',
+                    '/javascript/String',
+                    '/bali/strings/Name'
+                ]);
             }
             capacity = capacity || 10;  // default capacity
             lease = lease || 60;  // default to one minute
-            const document = await this.createDocument('/nebula/repositories/Bag/v1', permissions, {
+            const template = {
                 $capacity: capacity,
                 $lease: lease
-            });
+            };
+            if (deliveries && deadLetters) {
+                if (!(await storage.nameExists(deadLetters))) {
+                    const exception = bali.exception({
+                        $module: '/bali/repositories/DocumentRepository',
+                        $procedure: '$createBag',
+                        $exception: '$unknownBag',
+                        $bag: deadLetters,
+                        $text: 'The specified dead-letter bag does not exist in the document repository.'
+                    });
+                    throw exception;
+                }
+                template.$deliveries = deliveries;
+                template.$deadLetters = deadLetters;
+            }
+            const document = await this.createDocument('/nebula/repositories/Bag/v1', permissions, template);
             const contract = await notary.notarizeDocument(document);
             const citation = await storage.writeContract(contract);
             await storage.writeName(name, citation);
@@ -361,6 +580,8 @@ const DocumentRepository = function(notary, storage, debug) {
                 $permissions: permissions,
                 $capacity: capacity,
                 $lease: lease,
+                $deliveries: deliveries,
+                $deadLetters: deadLetters,
                 $text: 'An unexpected error occurred while attempting to create a new message bag.'
             }, cause);
             if (this.debug) console.error(exception.toString());
@@ -462,21 +683,28 @@ const DocumentRepository = function(notary, storage, debug) {
      * The selected message will not be available to other clients for the lease time specified
      * in the bag definition. If the client that received the message does not call
      * <code>acceptMessage()</code> within that time, the message is automatically added back
-     * into the bag for other clients to receive. If the bag is empty, nothing is returned.
+     * into the bag for other clients to receive. If the bag is empty, the method waits up to
+     * the specified number of seconds for a message to arrive before returning nothing.
      *
      * @param {Name} bag The name of the bag in the document repository.
+     * @param {Number} waitSeconds An optional number of seconds to wait for a message to arrive
+     * if the bag is empty (default is zero).
      * @returns {Catalog} A catalog containing the message or nothing if the bag is empty.
      */
-    this.retrieveMessage = async function(bag) {
+    this.retrieveMessage = async function(bag, waitSeconds) {
         try {
             if (this.debug > 1) {
                 bali.component.validateArgument('/bali/repositories/DocumentRepository', '$retrieveMessage', '$bag', bag, [
                     '/javascript/String',
                     '/bali/strings/Name'
                 ]);
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$retrieveMessage', '$waitSeconds', waitSeconds, [
+                    '/javascript/Undefined',
+                    '/javascript/Number'
+                ]);
             }
             const citation = await storage.readName(bag);
-            const message = await storage.removeMessage(citation);
+            const message = await storage.waitForMessage(citation, waitSeconds);
             return message;
         } catch (cause) {
             const exception = bali.exception({
@@ -491,6 +719,44 @@ const DocumentRepository = function(notary, storage, debug) {
         }
     };
 
+    /**
+     * This method randomly selects up to the specified number of messages from the specified bag
+     * in the document repository.  Each selected message is leased just as if it had been
+     * selected using <code>retrieveMessage()</code>, but all of them are retrieved in a single
+     * request.  If the bag is empty, an empty list is returned.
+     *
+     * @param {Name} bag The name of the bag in the document repository.
+     * @param {Number} maxCount The maximum number of messages to be retrieved.
+     * @returns {List} A list containing the retrieved messages.
+     */
+    this.retrieveMessages = async function(bag, maxCount) {
+        try {
+            if (this.debug > 1) {
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$retrieveMessages', '$bag', bag, [
+                    '/javascript/String',
+                    '/bali/strings/Name'
+                ]);
+                bali.component.validateArgument('/bali/repositories/DocumentRepository', '$retrieveMessages', '$maxCount', maxCount, [
+                    '/javascript/Number'
+                ]);
+            }
+            const citation = await storage.readName(bag);
+            const messages = await storage.removeMessages(citation, maxCount);
+            return messages;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/DocumentRepository',
+                $procedure: '$retrieveMessages',
+                $exception: '$unexpected',
+                $bag: bag,
+                $maxCount: maxCount,
+                $text: 'An unexpected error occurred while attempting to receive the messages.'
+            }, cause);
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
     /**
      * This method returns a previously received message to its original bag in the document
      * repository.  It should be called when the client that received the message determines that
@@ -588,3 +854,9 @@ const DocumentRepository = function(notary, storage, debug) {
 };
 DocumentRepository.prototype.constructor = DocumentRepository;
 exports.DocumentRepository = DocumentRepository;
+
+
+// PRIVATE CONSTANTS
+
+// the pattern that the last part of a versioned contract name must match
+const VERSION = /^v[1-9][0-9]*(\.[1-9][0-9]*)*$/;
@@ -10,25 +10,50 @@
 'use strict';
 
 /*
- * This class implements an HTTP engine that manages browser access to a document repository.
+ * This class implements an HTTP engine that manages read-only browser access to a document
+ * repository.  It renders index pages for the namespaces of named contracts, contracts with
+ * links to their certificates and previous versions and a badge showing whether or not their
+ * signatures are valid, and summary pages for message bags.  The same permission checks are
+ * applied as for the web service.
  */
 const bali = require('bali-component-framework').api();
 const HTTPEngine = require('./utilities/HTTPEngine').HTTPEngine;
+const shiftOptions = require('./utilities/Options').shiftOptions;
 
 
-const HTMLEngine = function(notary, storage, debug) {
+const HTMLEngine = function(notary, storage, options, debug) {
+    // support the original signature: HTMLEngine(notary, storage, debug)
+    [options, debug] = shiftOptions(options, debug);
     const handlers = {
         names: {
             HEAD: async function(parameters) {
+                if (this.isListing(parameters)) {
+                    // answer for the index page of the namespace identified by the resource
+                    const prefix = this.extractPrefix(parameters);
+                    const names = await storage.listNames(prefix);
+                    return await this.encodeResponse(parameters, names, names, true, true);  // body is stripped off
+                }
                 const name = this.extractName(parameters);
                 const existing = await storage.readName(name);
                 return await this.encodeResponse(parameters, existing, existing, false);  // body is stripped off
             },
             GET: async function(parameters) {
+                if (this.isListing(parameters)) {
+                    // render an index page for the namespace identified by the resource
+                    const prefix = this.extractPrefix(parameters);
+                    const names = await storage.listNames(prefix);
+                    const response = await this.encodeResponse(parameters, names, names, true, true);  // names are public
+                    return await renderResponse(parameters, response, async function() {
+                        return renderIndex(parameters, prefix, names);
+                    });
+                }
                 const name = this.extractName(parameters);
                 const citation = await storage.readName(name);
-                const existing = await storage.readContract(citation);
-                return await this.encodeResponse(parameters, existing, existing, false);
+                const existing = citation ? await storage.readContract(citation) : undefined;
+                const response = await this.encodeResponse(parameters, existing, existing, false);
+                return await renderResponse(parameters, response, async function() {
+                    return await renderContract(parameters, response.body, existing);
+                });
             },
             PUT: async function(parameters) {
                 return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
@@ -37,10 +62,17 @@ const HTMLEngine = function(notary, storage, debug) {
 
         documents: {
             HEAD: async function(parameters) {
-                return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
+                const citation = this.extractResource(parameters);
+                const existing = await storage.readDocument(citation);
+                return await this.encodeResponse(parameters, existing, existing, true);  // body is stripped off
             },
             GET: async function(parameters) {
-                return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
+                const citation = this.extractResource(parameters);
+                const existing = await storage.readDocument(citation);
+                const response = await this.encodeResponse(parameters, existing, existing, true);
+                return await renderResponse(parameters, response, async function() {
+                    return renderLinks(parameters, response.body);
+                });
             },
             PUT: async function(parameters) {
                 return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
@@ -52,10 +84,17 @@ const HTMLEngine = function(notary, storage, debug) {
 
         contracts: {
             HEAD: async function(parameters) {
-                return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
+                const citation = this.extractResource(parameters);
+                const existing = await storage.readContract(citation);
+                return await this.encodeResponse(parameters, existing, existing, false);  // body is stripped off
             },
             GET: async function(parameters) {
-                return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
+                const citation = this.extractResource(parameters);
+                const existing = await storage.readContract(citation);
+                const response = await this.encodeResponse(parameters, existing, existing, false);
+                return await renderResponse(parameters, response, async function() {
+                    return await renderContract(parameters, response.body, existing);
+                });
             },
             PUT: async function(parameters) {
                 return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
@@ -64,10 +103,20 @@ const HTMLEngine = function(notary, storage, debug) {
 
         messages: {
             HEAD: async function(parameters) {
-                return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
+                const bag = this.extractResource(parameters);
+                const authority = await storage.readContract(bag);
+                const count = bali.number(await storage.messageCount(bag));
+                return await this.encodeResponse(parameters, authority, count.getMagnitude() > 0 ? count : undefined, true);  // body is stripped off
             },
             GET: async function(parameters) {
-                return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
+                const bag = this.extractResource(parameters);
+                const authority = await storage.readContract(bag);
+                const count = bali.number(await storage.messageCount(bag));
+                const response = await this.encodeResponse(parameters, authority, authority ? count : undefined, true);
+                const title = this.extractName(parameters).toString();
+                return await renderResponse(parameters, response, async function() {
+                    return renderBag(parameters, title, bag, authority, count);
+                });
             },
             PUT: async function(parameters) {
                 return this.encodeError(parameters, 401, parameters.resultType, 'Not Authenticated');
@@ -81,9 +130,159 @@ const HTMLEngine = function(notary, storage, debug) {
         }
 
     };
-    HTTPEngine.call(this, notary, storage, handlers, debug);
+
+    /*
+     * This function replaces the body of a successful response to a browser with the page
+     * generated by the specified function.  The permission checks have already been applied
+     * to the response so the page is only generated if the resource may be viewed.
+     */
+    const renderResponse = async function(parameters, response, generatePage) {
+        if (response.statusCode === 200 && response.body && parameters.resultType === 'text/html') {
+            response.body = await generatePage();
+            response.headers['content-length'] = response.body.length;
+        }
+        return response;
+    };
+
+    const renderIndex = function(parameters, prefix, names) {
+        const namespace = prefix.toString();
+        const namespaces = [];
+        const leaves = [];
+        names.toArray().forEach(function(name) {
+            const segments = name.toString().slice(namespace.length + 1).split('/');
+            if (segments.length > 1) {
+                // the name resides in a nested namespace
+                const nested = namespace + '/' + segments[0] + '/';
+                if (!namespaces.includes(nested)) namespaces.push(nested);
+            } else {
+                leaves.push(name.toString());
+            }
+        });
+        var content = '        <div class="explorer">\n';
+        content += '            <div class="title">' + escapeHTML(namespace + '/') + '</div>\n';
+        if (namespace.lastIndexOf('/') > 0) {
+            const parent = namespace.slice(0, namespace.lastIndexOf('/') + 1);
+            content += '            <a class="parent" href="' + generateNamePath(parameters, parent) + '">' + escapeHTML(parent) + '</a>\n';
+        }
+        content += renderList('namespaces', namespaces, function(nested) {
+            return generateNamePath(parameters, nested);
+        });
+        content += renderList('names', leaves, function(name) {
+            return generateNamePath(parameters, name);
+        });
+        content += '        </div>\n';
+        return renderPage(namespace + '/', content);
+    };
+
+    const renderContract = async function(parameters, body, contract) {
+        var navigation = '        <div class="explorer">\n';
+        navigation += (await verifyContract(contract)) ?
+            '            <div class="badge verified">Signature Verified</div>\n' :
+            '            <div class="badge unverified">Signature Not Verified</div>\n';
+        navigation += renderCitation(parameters, 'certificate', 'Certificate', contract.getAttribute('$certificate'));
+        const document = contract.getAttribute('$document');
+        navigation += renderCitation(parameters, 'previous', 'Previous Version', document.getParameter('$previous'));
+        navigation += '        </div>\n';
+        return insertNavigation(renderLinks(parameters, body), navigation);
+    };
+
+    const renderBag = function(parameters, title, bag, contract, count) {
+        // summarize the bag using the attributes of its definition
+        const summary = bali.catalog({
+            $available: count
+        });
+        const document = contract.getAttribute('$document');
+        const iterator = document.getIterator();
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            summary.setAttribute(association.getKey(), association.getValue());
+        }
+        var navigation = '        <div class="explorer">\n';
+        navigation += renderCitation(parameters, 'contract', 'Bag Contract', bag);
+        navigation += '        </div>\n';
+        return insertNavigation(renderLinks(parameters, bali.html(summary, title, STYLE)), navigation);
+    };
+
+    const renderCitation = function(parameters, type, label, citation) {
+        if (!citation || !citation.isType('/bali/collections/Catalog')) return '';  // e.g. none
+        const path = generateContractPath(parameters, citation);
+        return '            <a class="' + type + '" href="' + path + '">' + escapeHTML(label) + '</a>\n';
+    };
+
+    const renderList = function(type, items, generatePath) {
+        if (items.length === 0) return '';
+        var list = '            <ul class="' + type + '">\n';
+        items.forEach(function(item) {
+            list += '                <li><a href="' + generatePath(item) + '">' + escapeHTML(item) + '</a></li>\n';
+        });
+        list += '            </ul>\n';
+        return list;
+    };
+
+    const renderLinks = function(parameters, body) {
+        // the rendered names should link to this repository rather than the public one
+        return body.split(PUBLIC_NAMES).join('/' + parameters.service + '/names');
+    };
+
+    const insertNavigation = function(body, navigation) {
+        return body.replace('        <div class="document">', navigation + '        <div class="document">');
+    };
+
+    const verifyContract = async function(contract) {
+        try {
+            var certificate = contract;  // a self-signed certificate
+            const citation = contract.getAttribute('$certificate');
+            if (citation && citation.isType('/bali/collections/Catalog')) {
+                certificate = await storage.readContract(citation);
+            }
+            return !!certificate && await notary.validContract(contract, certificate);
+        } catch (cause) {
+            return false;  // the signature could not be verified
+        }
+    };
+
+    const generateNamePath = function(parameters, name) {
+        return '/' + parameters.service + '/names' + name;
+    };
+
+    const generateContractPath = function(parameters, citation) {
+        const tag = citation.getAttribute('$tag').toString().slice(1);  // remove the leading '#'
+        const version = citation.getAttribute('$version').toString();
+        return '/' + parameters.service + '/contracts/' + tag + '/' + version;
+    };
+
+    HTTPEngine.call(this, notary, storage, handlers, options, debug);
     return this;
 };
 HTMLEngine.prototype = Object.create(HTTPEngine.prototype);
 HTMLEngine.prototype.constructor = HTMLEngine;
 exports.HTMLEngine = HTMLEngine;
+
+
+// PRIVATE CONSTANTS
+
+const STYLE = 'https://bali-nebula.net/static/styles/BDN.css';
+
+// the formatter links all names to the public repository
+const PUBLIC_NAMES = 'https://bali-nebula.net/repository/names';
+
+
+// PRIVATE FUNCTIONS
+
+const renderPage = function(title, content) {
+    return '<!DOCTYPE html>\n' +
+        '<html>\n' +
+        '    <head>\n' +
+        '        <meta charset="UTF-8">\n' +
+        '        <title>' + escapeHTML(title) + '</title>\n' +
+        '        <link rel="stylesheet" href="' + STYLE + '">\n' +
+        '    </head>\n' +
+        '    <body>\n' +
+        content +
+        '    </body>\n' +
+        '</html>\n';
+};
+
+const escapeHTML = function(string) {
+    return string.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
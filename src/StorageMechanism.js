@@ -56,6 +56,21 @@ StorageMechanism.prototype.toString = function() {
     throw exception;
 };
 
+/**
+ * This method returns the current health of this storage mechanism.  The <code>$state</code>
+ * attribute is <code>$closed</code> when requests are being processed normally,
+ * <code>$open</code> when requests are failing fast because the backend is unavailable, and
+ * <code>$halfOpen</code> while a single request probes whether the backend has recovered.
+ * Storage mechanisms that do not depend on a remote service are always healthy.
+ *
+ * @returns {Catalog} A catalog describing the health of this storage mechanism.
+ */
+StorageMechanism.prototype.health = function() {
+    return bali.catalog({
+        $state: '$closed'
+    });
+};
+
 /**
  * This method checks to see whether or not the named citation exists in the document repository.
  *
@@ -109,6 +124,29 @@ StorageMechanism.prototype.writeName = async function(name, citation) {
     throw exception;
 };
 
+/**
+ * This method returns a list of the names in the document repository that reside within
+ * the namespace defined by the specified name prefix. The names are sorted alphabetically.
+ * A large namespace may be listed a page at a time by passing in the last name from the
+ * previous page as the cursor. A page containing fewer names than the requested page size
+ * is the last page.
+ *
+ * @param {Name} prefix The name prefix defining the namespace to be listed.
+ * @param {Name} cursor An optional name after which the listing should begin.
+ * @param {Number} size An optional maximum number of names to be returned.
+ * @returns {List} A list containing the names that begin with the prefix.
+ */
+StorageMechanism.prototype.listNames = async function(prefix, cursor, size) {
+    const exception = bali.exception({
+        $module: '/bali/repositories/StorageMechanism',
+        $procedure: '$listNames',
+        $exception: '$abstractMethod',
+        $text: 'This method must be implemented by a concrete subclass.'
+    });
+    if (this.debug) console.error(exception.toString());
+    throw exception;
+};
+
 /**
  * This method checks to see whether or not the cited document exists in the document
  * repository.
@@ -148,12 +186,15 @@ StorageMechanism.prototype.readDocument = async function(citation) {
 /**
  * This method saves a document in the document repository. If a document with
  * the same tag and version already exists in the document repository, it is overwritten with
- * the new document.
+ * the new document. If an expected digest is specified, the existing document must exist and
+ * its digest must match the expected digest or a <code>$documentModified</code> exception is
+ * thrown.
  *
  * @param {Catalog} document A catalog containing the document.
+ * @param {Binary} digest The optional expected digest of the existing document.
  * @returns {Catalog} A catalog containing the document citation.
  */
-StorageMechanism.prototype.writeDocument = async function(document) {
+StorageMechanism.prototype.writeDocument = async function(document, digest) {
     const exception = bali.exception({
         $module: '/bali/repositories/StorageMechanism',
         $procedure: '$writeDocument',
@@ -237,7 +278,8 @@ StorageMechanism.prototype.writeContract = async function(contract) {
 
 /**
  * This method determines the whether or not there is a message available to be retrieved from
- * the specified message bag in the document repository.
+ * the specified message bag in the document repository.  Any message whose lease has expired
+ * is available again.
  *
  * @param {Catalog} bag A catalog citing the bag in the document repository.
  * @returns {Boolean} Whether or not there is a message available to be retrieved.
@@ -255,7 +297,7 @@ StorageMechanism.prototype.messageAvailable = async function(bag) {
 
 /**
  * This method determines the current number of messages that are in the specified message bag
- * in the document repository.
+ * in the document repository.  Any message whose lease has expired is counted again.
  *
  * @param {Catalog} bag A catalog citing the bag in the document repository.
  * @returns {Number} The number of messages that are currently in the message bag.
@@ -290,15 +332,20 @@ StorageMechanism.prototype.addMessage = async function(bag, message) {
 
 /**
  * This method removes a randomly chosen message from the specified bag in the
- * document repository. The removed message will not be available to other clients for one
- * minute. If the client that borrowed the message does not call <code>deleteMessage()</code>
- * within that time, the message is automatically added back into the bag for other clients
- * to process. If the bag is empty, nothing is returned.
+ * document repository. The removed message will not be available to other clients for the
+ * number of seconds specified by the <code>$lease</code> attribute of the bag (one minute by
+ * default). If the client that borrowed the message does not call <code>deleteMessage()</code>
+ * within that time, the message is automatically added back into the bag with its version
+ * incremented by one for other clients to process. If the bag is empty, nothing is returned.
+ *
+ * Storage mechanisms that proxy a remote service may also honor an optional number of seconds
+ * to wait for a message to arrive if the bag is empty.  Others return immediately.
  *
  * @param {Catalog} bag A catalog citing the bag in the document repository.
+ * @param {Number} wait An optional number of seconds to wait for a message to arrive.
  * @returns {Catalog} A catalog containing the message or nothing if the bag is empty.
  */
-StorageMechanism.prototype.removeMessage = async function(bag) {
+StorageMechanism.prototype.removeMessage = async function(bag, wait) {
     const exception = bali.exception({
         $module: '/bali/repositories/StorageMechanism',
         $procedure: '$removeMessage',
@@ -309,12 +356,54 @@ StorageMechanism.prototype.removeMessage = async function(bag) {
     throw exception;
 };
 
+/**
+ * This method removes up to the specified number of randomly chosen messages from the specified
+ * bag in the document repository. Each removed message is leased just like a message removed
+ * using <code>removeMessage()</code>. If the bag is empty, an empty list is returned.
+ *
+ * @param {Catalog} bag A catalog citing the bag in the document repository.
+ * @param {Number} count The maximum number of messages to be removed.
+ * @returns {List} A list containing the removed messages.
+ */
+StorageMechanism.prototype.removeMessages = async function(bag, count) {
+    const exception = bali.exception({
+        $module: '/bali/repositories/StorageMechanism',
+        $procedure: '$removeMessages',
+        $exception: '$abstractMethod',
+        $text: 'This method must be implemented by a concrete subclass.'
+    });
+    if (this.debug) console.error(exception.toString());
+    throw exception;
+};
+
+/**
+ * This method removes a randomly chosen message from the specified bag in the document
+ * repository, waiting up to the specified number of seconds for a message to arrive if the bag
+ * is empty.  The bag is polled until a message is removed or the wait has elapsed, unless the
+ * storage mechanism waits for the message itself.  If no message arrives, nothing is returned.
+ *
+ * @param {Catalog} bag A catalog citing the bag in the document repository.
+ * @param {Number} wait The maximum number of seconds to wait for a message to arrive.
+ * @returns {Catalog} A catalog containing the message or nothing if the wait elapsed.
+ */
+StorageMechanism.prototype.waitForMessage = async function(bag, wait) {
+    const deadline = Date.now() + (wait || 0) * 1000;
+    while (true) {
+        const remaining = Math.max(deadline - Date.now(), 0);
+        const message = await this.removeMessage(bag, Math.ceil(remaining / 1000));
+        if (message || Date.now() >= deadline) return message;
+        await sleep(Math.min(POLL_INTERVAL, deadline - Date.now()));
+    }
+};
+
 /**
  * This method returns an existing message to the specified bag in the document repository.
  * It should be called when the client that removed the message determines that it cannot
  * successfully process the message. The returned message is then available to other clients
  * for processing. Any changes to the state of the message will be reflected in the updated
- * message.
+ * message. If the bag specifies a maximum number of deliveries (<code>$deliveries</code>) and
+ * a dead-letter bag (<code>$deadLetters</code>), a message that has reached that maximum is
+ * moved to the dead-letter bag instead.
  *
  * @param {Catalog} bag A catalog citing the bag in the document repository.
  * @param {Catalog} message A catalog containing the message being returned.
@@ -348,3 +437,207 @@ StorageMechanism.prototype.deleteMessage = async function(bag, citation) {
     if (this.debug) console.error(exception.toString());
     throw exception;
 };
+
+
+// MESSAGE LEASES
+
+/*
+ * The following methods are shared by the storage mechanisms that maintain message bags
+ * themselves.  Each of those mechanisms passes in a queue object providing access to its
+ * messages:
+ * <pre>
+ *   listLeases(bag): returns an array of identifiers for the leased messages in the bag
+ *   readLease(identifier): returns the identified lease or nothing if it no longer exists
+ *   deleteLease(identifier): deletes the identified lease, returning whether it still existed
+ *   writeMessage(bag, message): makes the message available in the bag
+ * </pre>
+ */
+
+/**
+ * This method returns the duration of the lease on each message that is removed from the
+ * specified bag.  It is specified by the <code>$lease</code> attribute of the bag (one minute
+ * by default).
+ *
+ * @param {Catalog} bag A catalog citing the bag in the document repository.
+ * @returns {Duration} The duration of each lease.
+ */
+StorageMechanism.prototype.leaseDuration = async function(bag) {
+    const document = await readBag(this, bag);
+    var seconds = 60;  // default to one minute
+    if (document && document.getAttribute('$lease')) {
+        seconds = document.getAttribute('$lease').getMagnitude();
+    }
+    return bali.duration(seconds * 1000);  // in milliseconds
+};
+
+/**
+ * This method determines the bag that a message being requeued should go back into.  A message
+ * that has reached the maximum number of deliveries for the bag (<code>$deliveries</code>) goes
+ * to its dead-letter bag (<code>$deadLetters</code>) instead.  If the message cannot be routed
+ * there because the dead-letter bag is missing or full, it stays in the bag and the problem is
+ * logged.
+ *
+ * @param {Catalog} bag A catalog citing the bag that the message was removed from.
+ * @param {Catalog} message A catalog containing the message being requeued.
+ * @returns {Catalog} A catalog citing the bag that the message should go back into.
+ */
+StorageMechanism.prototype.routeMessage = async function(bag, message) {
+    const document = await readBag(this, bag);
+    if (!document) return bag;
+    const limit = document.getAttribute('$deliveries');
+    const deliveries = message.getParameter('$version').getItem(1);
+    if (!limit || deliveries < limit.getMagnitude()) return bag;
+    const deadLetters = document.getAttribute('$deadLetters');
+    var text;
+    if (deadLetters) {
+        const citation = await this.readName(deadLetters);
+        const capacity = citation ? await readCapacity(this, citation) : undefined;
+        if (capacity === undefined) {
+            text = 'The dead-letter bag does not exist.';
+        } else if (await this.messageCount(citation) >= capacity) {
+            text = 'The dead-letter bag is already at full capacity.';
+        } else {
+            message.setAttribute('$bag', deadLetters);
+            return citation;
+        }
+    } else {
+        text = 'The bag has a maximum number of deliveries but no dead-letter bag.';
+    }
+    const exception = bali.exception({
+        $module: '/bali/repositories/StorageMechanism',
+        $procedure: '$routeMessage',
+        $exception: '$undeliverable',
+        $bag: bag,
+        $deadLetters: deadLetters,
+        $message: message,
+        $text: text
+    });
+    if (this.debug) console.error(exception.toString());
+    return bag;
+};
+
+/**
+ * This method makes a message that was removed from the specified bag available again.  Its
+ * version is incremented to avoid collisions with any process still holding the old version.
+ *
+ * @param {Catalog} bag A catalog citing the bag that the message was removed from.
+ * @param {Catalog} message A catalog containing the message being requeued.
+ * @param {Object} queue An object providing access to the messages of the storage mechanism.
+ */
+StorageMechanism.prototype.requeueMessage = async function(bag, message, queue) {
+    bag = await this.routeMessage(bag, message);
+    const version = bali.version.nextVersion(message.getParameter('$version'));
+    message.setParameter('$version', version);
+    await queue.writeMessage(bag, message);
+};
+
+/**
+ * This method determines whether or not the specified lease on a message has expired.
+ *
+ * @param {Catalog} lease A catalog containing the lease.
+ * @param {Moment} now An optional moment to check the lease against (the default is now).
+ * @returns {Boolean} Whether or not the lease has expired.
+ */
+StorageMechanism.prototype.leaseExpired = function(lease, now) {
+    now = now || bali.moment();
+    return leaseExpiration(lease) <= now.getValue();
+};
+
+/**
+ * This method requeues each message in the specified bag whose lease has expired.  Since this
+ * requires reading each lease, each sweep of the leases schedules the next one for when the
+ * first remaining lease expires.  Any lease created after the sweep lasts a full lease duration
+ * so the sweeps in between can be skipped without missing an expired lease.
+ *
+ * @param {Catalog} bag A catalog citing the bag in the document repository.
+ * @param {Object} queue An object providing access to the messages of the storage mechanism.
+ */
+StorageMechanism.prototype.expireLeases = async function(bag, queue) {
+    if (!SWEEPS.has(queue)) SWEEPS.set(queue, new Map());
+    const sweeps = SWEEPS.get(queue);
+    const key = bag.toString();
+    const now = bali.moment();
+    if (now.getValue() < sweeps.get(key)) return;  // no lease has expired since the last sweep
+    var next = bali.moment.later(now, await this.leaseDuration(bag)).getValue();
+    sweeps.set(key, next);  // concurrent calls skip the sweep while this one is running
+    try {
+        const identifiers = await queue.listLeases(bag);
+        for (var i = 0; i < identifiers.length; i++) {
+            const lease = await queue.readLease(identifiers[i]);
+            if (!lease) continue;  // someone else got there first
+            if (!this.leaseExpired(lease, now)) {
+                // the lease is still active
+                next = Math.min(next, leaseExpiration(lease));
+                continue;
+            }
+            if (! await queue.deleteLease(identifiers[i])) continue;  // someone else got there first
+            await this.requeueMessage(bag, lease.getAttribute('$message'), queue);
+        }
+        sweeps.set(key, next);
+    } catch (exception) {
+        sweeps.delete(key);  // the next call must sweep again
+        throw exception;
+    }
+};
+
+
+// PRIVATE CONSTANTS
+
+// the number of milliseconds between checks of an empty bag
+const POLL_INTERVAL = 500;
+
+// the time of the next lease sweep for each bag, kept separately for each queue
+const SWEEPS = new WeakMap();
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function causes the current thread to sleep for the specified number of milliseconds.
+ * NOTE: it must be called using 'await' or it won't work.
+ *
+ * @param {Number} milliseconds The number of milliseconds to sleep.
+ * @returns {Promise} A promise to return after the specified time has gone by.
+ */
+const sleep = function(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+};
+
+/**
+ * This function calculates the time at which the specified lease on a message expires.
+ *
+ * @param {Catalog} lease A catalog containing the lease.
+ * @returns {Number} The number of milliseconds since the epoch at which the lease expires.
+ */
+const leaseExpiration = function(lease) {
+    return bali.moment.later(lease.getAttribute('$timestamp'), lease.getAttribute('$duration')).getValue();
+};
+
+/**
+ * This function retrieves the document defining the specified bag from the storage mechanism.
+ *
+ * @param {StorageMechanism} storage The storage mechanism maintaining the bag.
+ * @param {Catalog} bag A catalog citing the bag in the document repository.
+ * @returns {Catalog} The document defining the bag or nothing if it doesn't exist.
+ */
+const readBag = async function(storage, bag) {
+    const contract = await storage.readContract(bag);
+    if (contract) return contract.getAttribute('$document');
+};
+
+/**
+ * This function retrieves the capacity of the specified bag from the storage mechanism.
+ *
+ * @param {StorageMechanism} storage The storage mechanism maintaining the bag.
+ * @param {Catalog} bag A catalog citing the bag in the document repository.
+ * @returns {Number} The capacity of the bag or nothing if the bag doesn't exist.
+ */
+const readCapacity = async function(storage, bag) {
+    const document = await readBag(storage, bag);
+    if (document) {
+        const capacity = document.getAttribute('$capacity');
+        return capacity ? capacity.getMagnitude() : Infinity;
+    }
+};
@@ -14,17 +14,32 @@
  */
 const bali = require('bali-component-framework').api();
 const HTTPEngine = require('./utilities/HTTPEngine').HTTPEngine;
+const shiftOptions = require('./utilities/Options').shiftOptions;
 
 
-const WebEngine = function(notary, storage, debug) {
+const WebEngine = function(notary, storage, options, debug) {
+    // support the original signature: WebEngine(notary, storage, debug)
+    [options, debug] = shiftOptions(options, debug);
     const handlers = {
         names: {
             HEAD: async function(parameters) {
+                if (this.isListing(parameters)) {
+                    // list the names within the namespace identified by the resource
+                    const prefix = this.extractPrefix(parameters);
+                    const names = await storage.listNames(prefix, parameters.cursor, parameters.size);
+                    return await this.encodeResponse(parameters, names, names, true, true);  // body is stripped off
+                }
                 const name = this.extractName(parameters);
                 const existing = await storage.readName(name);
                 return await this.encodeResponse(parameters, existing, existing, false);  // body is stripped off
             },
             GET: async function(parameters) {
+                if (this.isListing(parameters)) {
+                    // list the names within the namespace identified by the resource
+                    const prefix = this.extractPrefix(parameters);
+                    const names = await storage.listNames(prefix, parameters.cursor, parameters.size);
+                    return await this.encodeResponse(parameters, names, names, true, true);  // names are public
+                }
                 const name = this.extractName(parameters);
                 const existing = await storage.readName(name);
                 return await this.encodeResponse(parameters, existing, existing, false);
@@ -55,7 +70,22 @@ const WebEngine = function(notary, storage, debug) {
                 const document = parameters.body;
                 const existing = await storage.readDocument(citation);
                 const response = await this.encodeResponse(parameters, existing, existing, true);
-                if (response.statusCode < 300) await storage.writeDocument(document);
+                if (response.statusCode < 300) {
+                    var digest = parameters.match;
+                    if (digest === '*') {
+                        // any version of the document matches but there must be one
+                        if (!existing) return this.encodeError(parameters, 412, parameters.resultType, 'Precondition Failed');
+                        digest = (await notary.citeDocument(existing)).getAttribute('$digest');
+                    }
+                    try {
+                        await storage.writeDocument(document, digest);
+                    } catch (exception) {
+                        if (digest && exception.getAttribute('$exception').toString() === '$documentModified') {
+                            return this.encodeError(parameters, 412, parameters.resultType, 'Precondition Failed');
+                        }
+                        throw exception;
+                    }
+                }
                 return response;
             },
             DELETE: async function(parameters) {
@@ -134,11 +164,19 @@ const WebEngine = function(notary, storage, debug) {
             DELETE: async function(parameters) {
                 const bag = this.extractResource(parameters);
                 const authority = await storage.readContract(bag);
+                // make sure the request is authorized before modifying the bag
+                const response = await this.encodeResponse(parameters, authority, authority, true);
+                if (response.statusCode !== 200) return response;
                 var message;
                 if (authority) {
-                    if (parameters.resource.length === 2) {
-                        // borrow a random message from the bag identified by the resource
-                        message = await storage.removeMessage(bag);
+                    if (parameters.resource.length === 2 && parameters.count) {
+                        // borrow a batch of random messages from the bag identified by the resource
+                        const messages = await storage.removeMessages(bag, parameters.count);
+                        if (!messages.isEmpty()) message = messages;
+                    } else if (parameters.resource.length === 2) {
+                        // borrow a random message from the bag identified by the resource, holding
+                        // the request until one arrives if the client asked to wait
+                        message = await storage.waitForMessage(bag, parameters.wait);
                     } else {
                         // permanently delete the specified message identified by the resource from its bag
                         try {
@@ -154,7 +192,7 @@ const WebEngine = function(notary, storage, debug) {
         }
 
     };
-    HTTPEngine.call(this, notary, storage, handlers, debug);
+    HTTPEngine.call(this, notary, storage, handlers, options, debug);
     return this;
 };
 WebEngine.prototype = Object.create(HTTPEngine.prototype);
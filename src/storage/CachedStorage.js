@@ -16,15 +16,26 @@
  */
 const bali = require('bali-component-framework').api();
 const StorageMechanism = require('../StorageMechanism').StorageMechanism;
+const shiftOptions = require('../utilities/Options').shiftOptions;
 
 
 // DOCUMENT REPOSITORY
 
 /**
  * This function creates a new instance of a cached storage mechanism.  A remote storage
- * mechanism is passed in and is used as the persistent store for all documents.
+ * mechanism is passed in and is used as the persistent store for all documents.  The
+ * following options may be specified:
+ * <pre>
+ *   size: the maximum number of names and of contracts to be cached (default is 256 each)
+ *   ttl: the number of seconds that a named citation remains cached (default is forever)
+ *   negativeTtl: the number of seconds that a missing name is remembered (default is 1)
+ * </pre>
+ * When the cache is full, the least recently used entry is evicted.  Remembering missing
+ * names briefly keeps polling loops that wait for a name to be published from flooding the
+ * backend storage mechanism.
  *
  * @param {StorageMechanism} storage The actual storage mechanism that maintains documents.
+ * @param {Object} options An optional object containing the cache options.
  * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
  * debugging that occurs:
  * <pre>
@@ -35,7 +46,9 @@ const StorageMechanism = require('../StorageMechanism').StorageMechanism;
  * </pre>
  * @returns {Object} The new cached storage mechanism.
  */
-const CachedStorage = function(storage, debug) {
+const CachedStorage = function(storage, options, debug) {
+    // support the original signature: CachedStorage(storage, debug)
+    [options, debug] = shiftOptions(options, debug);
     StorageMechanism.call(this, debug);
     debug = this.debug;
 
@@ -44,8 +57,30 @@ const CachedStorage = function(storage, debug) {
         bali.component.validateArgument('/bali/repositories/CachedStorage', '$CachedStorage', '$storage', storage, [
             '/javascript/Object'
         ]);
+        bali.component.validateArgument('/bali/repositories/CachedStorage', '$CachedStorage', '$size', options.size, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+        bali.component.validateArgument('/bali/repositories/CachedStorage', '$CachedStorage', '$ttl', options.ttl, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+        bali.component.validateArgument('/bali/repositories/CachedStorage', '$CachedStorage', '$negativeTtl', options.negativeTtl, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
     }
 
+    // the caches for immutable types only
+    const size = options.size || CACHE_SIZE;
+    const ttl = options.ttl ? options.ttl * 1000 : undefined;  // in milliseconds
+    const negativeTtl = (options.negativeTtl === undefined ? NEGATIVE_TTL : options.negativeTtl) * 1000;
+    const cache = {
+        names: new Cache(size),
+        missing: new Cache(size),
+        contracts: new Cache(size)
+    };
+
     this.toString = function() {
         const catalog = bali.catalog({
             $module: '/bali/repositories/CachedStorage',
@@ -54,23 +89,50 @@ const CachedStorage = function(storage, debug) {
         return catalog.toString();
     };
 
+    /**
+     * This method returns the current statistics for the name and contract caches.  They
+     * can be used to tune the size of the caches.
+     *
+     * @returns {Catalog} A catalog containing the statistics for each cache.
+     */
+    this.getStatistics = function() {
+        return bali.catalog({
+            $names: cache.names.getStatistics(),
+            $missing: cache.missing.getStatistics(),
+            $contracts: cache.contracts.getStatistics()
+        });
+    };
+
+    this.health = function() {
+        return storage.health();
+    };
+
     this.nameExists = async function(name) {
         // check the cache first
         const key = generateNameKey(name);
         if (cache.names.read(key)) return true;
+        if (cache.missing.read(key)) return false;
         // not found so we must check the backend storage
-        return await storage.nameExists(name);
+        const exists = await storage.nameExists(name);
+        // remember briefly that the name does not exist
+        if (!exists && negativeTtl) cache.missing.write(key, true, negativeTtl);
+        return exists;
     };
 
     this.readName = async function(name) {
         // check the cache first
         const key = generateNameKey(name);
         var citation = cache.names.read(key);
-        if (!citation) {
+        if (!citation && !cache.missing.read(key)) {
             // not found so we must read from the backend storage
             citation = await storage.readName(name);
-            // add the citation to the cache
-            if (citation) cache.names.write(name, citation);
+            if (citation) {
+                // add the citation to the cache
+                cache.names.write(key, citation, ttl);
+            } else if (negativeTtl) {
+                // remember briefly that the name does not exist
+                cache.missing.write(key, true, negativeTtl);
+            }
         }
         return citation;
     };
@@ -79,10 +141,17 @@ const CachedStorage = function(storage, debug) {
         // add the name to the backend storage
         await storage.writeName(name, citation);
         // add the name to the cache
-        cache.names.write(name, citation);
+        const key = generateNameKey(name);
+        cache.missing.delete(key);
+        cache.names.write(key, citation, ttl);
         return citation;
     };
 
+    this.listNames = async function(prefix, cursor, size) {
+        // pass-through, the set of names within a namespace can change
+        return await storage.listNames(prefix, cursor, size);
+    };
+
     this.documentExists = async function(citation) {
         // pass-through, documents are not cached
         return await storage.documentExists(citation);
@@ -93,9 +162,9 @@ const CachedStorage = function(storage, debug) {
         return await storage.readDocument(citation);
     };
 
-    this.writeDocument = async function(document) {
+    this.writeDocument = async function(document, digest) {
         // pass-through, documents are not cached
-        return await storage.writeDocument(document);
+        return await storage.writeDocument(document, digest);
     };
 
     this.deleteDocument = async function(citation) {
@@ -148,9 +217,14 @@ const CachedStorage = function(storage, debug) {
         return await storage.addMessage(bag, message);
     };
 
-    this.removeMessage = async function(bag) {
+    this.removeMessage = async function(bag, wait) {
         // pass-through, messages are not cached
-        return await storage.removeMessage(bag);
+        return await storage.removeMessage(bag, wait);
+    };
+
+    this.removeMessages = async function(bag, count) {
+        // pass-through, messages are not cached
+        return await storage.removeMessages(bag, count);
     };
 
     this.returnMessage = async function(bag, message) {
@@ -182,37 +256,69 @@ CachedStorage.prototype.constructor = CachedStorage;
 exports.CachedStorage = CachedStorage;
 
 
-// CONTRACT CACHE
+// LEAST RECENTLY USED CACHE
 
 const Cache = function(capacity) {
 
-    const contracts = new Map();
-
-    this.read = function(name) {
-        return contracts.get(name);
+    // a map iterates over its keys in insertion order so the first key is the least recently used
+    const entries = new Map();
+    var hits = 0;
+    var misses = 0;
+    var evictions = 0;
+    var expirations = 0;
+
+    this.read = function(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expires && entry.expires <= Date.now()) {
+            entries.delete(key);
+            expirations++;
+            misses++;
+            return;
+        }
+        if (entry) {
+            // move the key to the end of the insertion order
+            entries.delete(key);
+            entries.set(key, entry);
+            hits++;
+            return entry.component;
+        }
+        misses++;
     };
 
-    this.write = function(name, contract) {
-        if (contracts.size > capacity) {
-            const oldest = contracts.keys().next().getValue();
-            contracts.delete(oldest);
+    this.write = function(key, component, ttl) {
+        entries.delete(key);
+        while (entries.size >= capacity) {
+            const oldest = entries.keys().next().value;
+            entries.delete(oldest);
+            evictions++;
         }
-        contracts.set(name, contract);
+        entries.set(key, {
+            component: component,
+            expires: ttl ? Date.now() + ttl : undefined  // in milliseconds
+        });
+    };
+
+    this.delete = function(key) {
+        entries.delete(key);
     };
 
-    this.delete = function(name) {
-        contracts.delete(name);
+    this.getStatistics = function() {
+        return bali.catalog({
+            $capacity: capacity,
+            $size: entries.size,
+            $hits: hits,
+            $misses: misses,
+            $evictions: evictions,
+            $expirations: expirations
+        });
     };
 
     return this;
 };
 Cache.prototype.constructor = Cache;
 
-// the maximum cache size
+// the default maximum cache size
 const CACHE_SIZE = 256;
 
-// the actual cache for immutable contract types only
-const cache = {
-    names: new Cache(CACHE_SIZE),
-    contracts: new Cache(CACHE_SIZE)
-};
+// the default number of seconds that a missing name is remembered
+const NEGATIVE_TTL = 1;
@@ -23,6 +23,7 @@
  * within a '.bali/' root directory in the home directory for the running process.
  */
 const os = require('os');
+const crypto = require('crypto');
 const pfs = require('fs').promises;
 const bali = require('bali-component-framework').api();
 const StorageMechanism = require('../StorageMechanism').StorageMechanism;
@@ -88,7 +89,7 @@ const LocalStorage = function(notary, root, debug) {
     this.writeName = async function(name, citation) {
         const location = generateLocation('names');
         const identifier = generateNameIdentifier(name);
-        if (await componentExists(location, identifier)) {
+        if (!await writeComponent(location, identifier, citation)) {
             const exception = bali.exception({
                 $module: '/bali/storage/LocalStorage',
                 $procedure: '$writeName',
@@ -101,10 +102,26 @@ const LocalStorage = function(notary, root, debug) {
             });
             throw exception;
         }
-        await writeComponent(location, identifier, citation);
         return citation;
     };
 
+    this.listNames = async function(prefix, cursor, size) {
+        const location = generateLocation('names');
+        const identifier = generateNameIdentifier(prefix).slice(0, -5);  // remove the trailing '.bali'
+        const list = await listNamespace(location, identifier);
+        var names = list.map(function(path) {
+            return prefix.toString() + path.slice(0, -5);  // remove the trailing '.bali'
+        }).sort();
+        if (cursor) {
+            // only include the names that follow the cursor
+            names = names.filter(function(name) {
+                return name > cursor.toString();
+            });
+        }
+        if (size) names = names.slice(0, size);
+        return bali.list(names);
+    };
+
     this.documentExists = async function(citation) {
         const location = generateLocation('documents');
         const identifier = generateDocumentIdentifier(citation);
@@ -122,7 +139,7 @@ const LocalStorage = function(notary, root, debug) {
         }
     };
 
-    this.writeDocument = async function(document) {
+    this.writeDocument = async function(document, digest) {
         var location = generateLocation('contracts');
         const citation = await notary.citeDocument(document);
         const identifier = generateDocumentIdentifier(citation);
@@ -139,19 +156,47 @@ const LocalStorage = function(notary, root, debug) {
             throw exception;
         }
         location = generateLocation('documents');
-        await writeComponent(location, identifier, document, true);
+        const release = await lockComponent(location, identifier);  // no other process may change it meanwhile
+        try {
+            if (digest) {
+                // make sure the existing document has not been modified since it was read
+                const bytes = await readComponent(location, identifier);
+                const existing = bytes ? await notary.citeDocument(bali.component(bytes.toString('utf8'))) : undefined;
+                if (!existing || !bali.areEqual(existing.getAttribute('$digest'), digest)) {
+                    const exception = bali.exception({
+                        $module: '/bali/storage/LocalStorage',
+                        $procedure: '$writeDocument',
+                        $exception: '$documentModified',
+                        $location: location,
+                        $identifier: identifier,
+                        $digest: digest,
+                        $document: document,
+                        $text: 'The document was modified or deleted after it was read.'
+                    });
+                    throw exception;
+                }
+            }
+            await writeComponent(location, identifier, document, true);
+        } finally {
+            await release();
+        }
         return citation;
     };
 
     this.deleteDocument = async function(citation) {
         const location = generateLocation('documents');
         const identifier = generateDocumentIdentifier(citation);
-        const bytes = await readComponent(location, identifier);
-        if (bytes) {
-            await deleteComponent(location, identifier);
-            const source = bytes.toString('utf8');
-            const document = bali.component(source);
-            return document;
+        const release = await lockComponent(location, identifier);  // no other process may change it meanwhile
+        try {
+            const bytes = await readComponent(location, identifier);
+            if (bytes) {
+                await deleteComponent(location, identifier);
+                const source = bytes.toString('utf8');
+                const document = bali.component(source);
+                return document;
+            }
+        } finally {
+            await release();
         }
     };
 
@@ -177,7 +222,7 @@ const LocalStorage = function(notary, root, debug) {
         const document = contract.getAttribute('$document');
         const citation = await notary.citeDocument(document);
         const identifier = generateDocumentIdentifier(citation);
-        if (await componentExists(location, identifier)) {
+        if (!await writeComponent(location, identifier, contract)) {
             const exception = bali.exception({
                 $module: '/bali/storage/LocalStorage',
                 $procedure: '$writeContract',
@@ -189,13 +234,13 @@ const LocalStorage = function(notary, root, debug) {
             });
             throw exception;
         }
-        await writeComponent(location, identifier, contract);
         location = generateLocation('documents');
         await deleteComponent(location, identifier);
         return citation;
     };
 
     this.messageAvailable = async function(bag) {
+        await this.expireLeases(bag, queue);
         const location = generateLocation('messages');
         const identifier = generateBagIdentifier(bag, 'available');
         const list = await listComponents(location, identifier);
@@ -203,6 +248,7 @@ const LocalStorage = function(notary, root, debug) {
     };
 
     this.messageCount = async function(bag) {
+        await this.expireLeases(bag, queue);
         const location = generateLocation('messages');
         const identifier = generateBagIdentifier(bag, 'available');
         const list = await listComponents(location, identifier);
@@ -269,41 +315,58 @@ const LocalStorage = function(notary, root, debug) {
     };
 
     this.removeMessage = async function(bag) {
+        const messages = await this.removeMessages(bag, 1);
+        if (!messages.isEmpty()) return messages.getItem(1);
+    };
+
+    this.removeMessages = async function(bag, count) {
+        await this.expireLeases(bag, queue);
         const location = generateLocation('messages');
         const available = generateBagIdentifier(bag, 'available');
         const processing = generateBagIdentifier(bag, 'processing');
+        const duration = await this.leaseDuration(bag);
+        const messages = bali.list();
+        const generator = bali.generator();
         var limit = 5;
-        while (limit--) {
+        while (messages.getSize() < count && limit--) {
             const list = await listComponents(location, available);
-            const count = list.length;
-            if (count === 0) break;  // no more messages
-            const messages = bali.list(list);
-            // select a message at random since a distributed bag cannot guarantee FIFO
-            const generator = bali.generator();
-            const index = generator.generateIndex(count);
-            const identifier = messages.getItem(index);
-            const availableMessage = available + identifier;
-            const bytes = await readComponent(location, availableMessage);
-            if (!bytes) {
-                // someone else got there first, keep trying
-                continue;
-            }
-            if (! await deleteComponent(location, availableMessage)) {
-                // someone else got there first, keep trying
-                continue;
+            if (list.length === 0) break;  // no more messages
+            while (list.length > 0 && messages.getSize() < count) {
+                // select a message at random since a distributed bag cannot guarantee FIFO
+                const index = generator.generateIndex(list.length);
+                const identifier = list.splice(index - 1, 1)[0];
+                const availableMessage = available + identifier;
+                const processingMessage = processing + identifier;
+                const bytes = await readComponent(location, availableMessage);
+                if (!bytes) {
+                    // someone else got there first, try another one
+                    continue;
+                }
+                // write the lease before claiming the message so that a crash can never lose it
+                const message = bali.component(bytes.toString('utf8'));
+                const lease = bali.catalog({
+                    $timestamp: bali.moment(),  // the start of the lease
+                    $duration: duration,
+                    $message: message
+                });
+                if (! await writeComponent(location, processingMessage, lease, false)) {
+                    // someone else holds the lease, try another one
+                    continue;
+                }
+                if (! await deleteComponent(location, availableMessage)) {
+                    // someone else claimed and finished with the message first, try another one
+                    await deleteComponent(location, processingMessage);
+                    continue;
+                }
+                messages.addItem(message);
             }
-            // we got there first
-            const processingMessage = processing + identifier;
-            const source = bytes.toString('utf8');
-            const message = bali.component(source);
-            await writeComponent(location, processingMessage, message, true);
-            return message;
         }
+        return messages;
     };
 
     this.returnMessage = async function(bag, message) {
         const location = generateLocation('messages');
-        var citation = await notary.citeDocument(message);
+        const citation = await notary.citeDocument(message);
         const processing = generateMessageIdentifier(bag, 'processing', citation);
         if (! await deleteComponent(location, processing)) {
             const exception = bali.exception({
@@ -317,22 +380,15 @@ const LocalStorage = function(notary, root, debug) {
             });
             throw exception;
         }
-        const version = bali.version.nextVersion(message.getParameter('$version'));
-        message.setParameter('$version', version);
-        citation = await notary.citeDocument(message);
-        const available = generateMessageIdentifier(bag, 'available', citation);
-        await writeComponent(location, available, message, true);
+        await this.requeueMessage(bag, message, queue);
     };
 
     this.deleteMessage = async function(bag, citation) {
         const location = generateLocation('messages');
         const identifier = generateMessageIdentifier(bag, 'processing', citation);
-        const bytes = await readComponent(location, identifier);
-        if (bytes) {
-            const source = bytes.toString('utf8');
-            const message = bali.component(source);
-            await deleteComponent(location, identifier);
-            return message;
+        const lease = await queue.readLease(identifier);
+        if (lease && !this.leaseExpired(lease) && await queue.deleteLease(identifier)) {
+            return lease.getAttribute('$message');
         } else {
             const exception = bali.exception({
                 $module: '/bali/storage/LocalStorage',
@@ -347,6 +403,33 @@ const LocalStorage = function(notary, root, debug) {
         }
     };
 
+    // provides the shared message lease handling with access to the messages
+    const queue = {
+        listLeases: async function(bag) {
+            const location = generateLocation('messages');
+            const processing = generateBagIdentifier(bag, 'processing');
+            const list = await listComponents(location, processing);
+            return list.map(function(identifier) {
+                return processing + identifier;
+            });
+        },
+        readLease: async function(identifier) {
+            const location = generateLocation('messages');
+            const bytes = await readComponent(location, identifier);
+            if (bytes) return bali.component(bytes.toString('utf8'));
+        },
+        deleteLease: async function(identifier) {
+            const location = generateLocation('messages');
+            return await deleteComponent(location, identifier);
+        },
+        writeMessage: async function(bag, message) {
+            const location = generateLocation('messages');
+            const citation = await notary.citeDocument(message);
+            const available = generateMessageIdentifier(bag, 'available', citation);
+            await writeComponent(location, available, message, true);
+        }
+    };
+
     const generateLocation = function(type) {
         return root + type;
     };
@@ -386,6 +469,17 @@ LocalStorage.prototype.constructor = LocalStorage;
 exports.LocalStorage = LocalStorage;
 
 
+// PRIVATE CONSTANTS
+
+// the number of milliseconds after which the lock on a component is considered abandoned
+const LOCK_TIMEOUT = 10000;
+
+// the number of milliseconds between attempts to acquire the lock on a component
+const LOCK_INTERVAL = 10;
+
+
+// PRIVATE FUNCTIONS
+
 /**
  * This function causes the current thread to sleep for the specified number of milliseconds.
  * NOTE: it must be called using 'await' or it won't work.
@@ -409,8 +503,34 @@ const listComponents = async function(location, identifier) {
         const components = [];
         for (var i = 0; i < directories.length; i++) {
             const directory = directories[i];
-            const component = '/' + directory + '/' + await pfs.readdir(path + '/' + directory, 'utf8');
-            components.push(component);
+            const files = await pfs.readdir(path + '/' + directory, 'utf8');
+            files.filter(isComponent).forEach(function(file) {
+                components.push('/' + directory + '/' + file);
+            });
+        }
+        return components;
+    } catch (exception) {
+        if (exception.code === 'ENOENT') return []; // the directory does not exist
+        // something else went wrong
+        throw exception;
+    }
+};
+
+const listNamespace = async function(location, identifier) {
+    try {
+        const path = location + '/' + identifier;
+        const entries = await pfs.readdir(path, {encoding: 'utf8', withFileTypes: true});
+        const components = [];
+        for (var i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (entry.isDirectory()) {
+                const nested = await listNamespace(location, identifier + '/' + entry.name);
+                nested.forEach(function(component) {
+                    components.push('/' + entry.name + component);
+                });
+            } else if (isComponent(entry.name)) {
+                components.push('/' + entry.name);
+            }
         }
         return components;
     } catch (exception) {
@@ -447,9 +567,83 @@ const writeComponent = async function(location, identifier, component, isMutable
     const mode = isMutable ? 0o600 : 0o400;
     const file = location + '/' + identifier;
     const path = file.slice(0, file.lastIndexOf('/'));
-    await pfs.mkdir(path, {recursive: true, mode: 0o700});
+
+    // write the component to a temporary file so that a crash can never leave a partial file
+    const temporary = file + '.' + crypto.randomBytes(8).toString('hex') + '.tmp';
     const source = bali.document(component);
-    await pfs.writeFile(file, source, {encoding: 'utf8', mode: mode});
+    var handle;
+    while (!handle) {
+        await pfs.mkdir(path, {recursive: true, mode: 0o700});
+        try {
+            handle = await pfs.open(temporary, 'wx', mode);
+        } catch (exception) {
+            // another process may have removed the empty directory before the file was created
+            if (exception.code !== 'ENOENT') throw exception;
+        }
+    }
+    try {
+        await handle.writeFile(source, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        if (isMutable) {
+            // atomically replace any existing version of the component
+            await pfs.rename(temporary, file);
+        } else {
+            // atomically create the component, failing if another process already created it
+            await pfs.link(temporary, file);
+            await pfs.unlink(temporary);
+        }
+        await syncDirectory(path);
+        return true;
+    } catch (exception) {
+        await pfs.unlink(temporary).catch(function() {});  // ignore if already gone
+        if (exception.code === 'EEXIST') return false; // the immutable file already exists
+        // something else went wrong
+        throw exception;
+    }
+};
+
+const lockComponent = async function(location, identifier) {
+    // only one process at a time can create the lock file for a component
+    const lock = location + '/' + identifier + '.lock';
+    while (true) {
+        await pfs.mkdir(lock.slice(0, lock.lastIndexOf('/')), {recursive: true, mode: 0o700});
+        try {
+            const handle = await pfs.open(lock, 'wx', 0o600);
+            await handle.close();
+            return async function() {
+                await pfs.unlink(lock).catch(function() {});  // ignore if it was broken
+            };
+        } catch (exception) {
+            // the empty directory may have been removed by another process so try again
+            if (exception.code === 'ENOENT') continue;
+            if (exception.code !== 'EEXIST') throw exception;
+        }
+        try {
+            // a lock left behind by a crashed process is broken once it is stale
+            const status = await pfs.stat(lock);
+            if (Date.now() - status.mtimeMs > LOCK_TIMEOUT) await pfs.unlink(lock);
+        } catch (exception) {
+            if (exception.code !== 'ENOENT') throw exception;  // otherwise it was just released
+        }
+        await sleep(LOCK_INTERVAL);
+    }
+};
+
+const syncDirectory = async function(path) {
+    // make sure the directory entry for a renamed file survives a crash
+    try {
+        const handle = await pfs.open(path, 'r');
+        try { await handle.sync(); } finally { await handle.close(); }
+    } catch (exception) {}  // ignore on platforms that don't support syncing a directory
+};
+
+const isComponent = function(file) {
+    return file.endsWith('.bali');  // skip any temporary files that are still being written
 };
 
 const deleteComponent = async function(location, identifier) {
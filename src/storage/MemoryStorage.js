@@ -0,0 +1,467 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a process memory based storage mechanism.  It treats
+ * documents as UTF-8 encoded strings.  It can be used for testing and for ephemeral
+ * services that do not need their documents to outlive the running process.  Each
+ * instance maintains its own independent set of documents.
+ */
+const bali = require('bali-component-framework').api();
+const StorageMechanism = require('../StorageMechanism').StorageMechanism;
+
+
+// DOCUMENT REPOSITORY
+
+/**
+ * This function creates a new instance of a memory storage mechanism.  The repository
+ * starts out empty.
+ *
+ * @param {DigitalNotary} notary The digital notary to be used to cite the documents.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new memory storage mechanism.
+ */
+const MemoryStorage = function(notary, debug) {
+    StorageMechanism.call(this, debug);
+    debug = this.debug;
+
+    // validate the arguments
+    if (debug > 1) {
+        bali.component.validateArgument('/bali/storage/MemoryStorage', '$MemoryStorage', '$notary', notary, [
+            '/javascript/Object'
+        ]);
+    }
+
+    // the components are stored as source strings so that callers never share mutable state
+    const components = new Map();
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/storage/MemoryStorage',
+            $size: components.size
+        });
+        return catalog.toString();
+    };
+
+    this.nameExists = async function(name) {
+        const location = generateLocation('names');
+        const identifier = generateNameIdentifier(name);
+        return componentExists(location, identifier);
+    };
+
+    this.readName = async function(name) {
+        const location = generateLocation('names');
+        const identifier = generateNameIdentifier(name);
+        const source = readComponent(location, identifier);
+        if (source) {
+            const citation = bali.component(source);
+            return citation;
+        }
+    };
+
+    this.writeName = async function(name, citation) {
+        const location = generateLocation('names');
+        const identifier = generateNameIdentifier(name);
+        if (componentExists(location, identifier)) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$writeName',
+                $exception: '$nameExists',
+                $name: name,
+                $location: location,
+                $identifier: identifier,
+                $citation: citation,
+                $text: 'The named citation already exists.'
+            });
+            throw exception;
+        }
+        writeComponent(location, identifier, citation);
+        return citation;
+    };
+
+    this.listNames = async function(prefix, cursor, size) {
+        const location = generateLocation('names');
+        const identifier = generateNameIdentifier(prefix).slice(0, -5);  // remove the trailing '.bali'
+        const list = listComponents(location, identifier);
+        var names = list.map(function(path) {
+            return prefix.toString() + path.slice(0, -5);  // remove the trailing '.bali'
+        }).sort();
+        if (cursor) {
+            // only include the names that follow the cursor
+            names = names.filter(function(name) {
+                return name > cursor.toString();
+            });
+        }
+        if (size) names = names.slice(0, size);
+        return bali.list(names);
+    };
+
+    this.documentExists = async function(citation) {
+        const location = generateLocation('documents');
+        const identifier = generateDocumentIdentifier(citation);
+        return componentExists(location, identifier);
+    };
+
+    this.readDocument = async function(citation) {
+        const location = generateLocation('documents');
+        const identifier = generateDocumentIdentifier(citation);
+        const source = readComponent(location, identifier);
+        if (source) {
+            const document = bali.component(source);
+            return document;
+        }
+    };
+
+    this.writeDocument = async function(document, digest) {
+        var location = generateLocation('contracts');
+        const citation = await notary.citeDocument(document);
+        const identifier = generateDocumentIdentifier(citation);
+        if (componentExists(location, identifier)) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$writeDocument',
+                $exception: '$contractExists',
+                $location: location,
+                $identifier: identifier,
+                $document: document,
+                $text: 'A signed contract with the same tag and version already exists.'
+            });
+            throw exception;
+        }
+        location = generateLocation('documents');
+        if (digest) {
+            // make sure the existing document has not been modified since it was read
+            const source = readComponent(location, identifier);
+            const existing = source ? await notary.citeDocument(bali.component(source)) : undefined;
+            // nothing can change the document between this check and the write below
+            const current = readComponent(location, identifier);
+            if (!existing || !bali.areEqual(existing.getAttribute('$digest'), digest) || current !== source) {
+                const exception = bali.exception({
+                    $module: '/bali/storage/MemoryStorage',
+                    $procedure: '$writeDocument',
+                    $exception: '$documentModified',
+                    $location: location,
+                    $identifier: identifier,
+                    $digest: digest,
+                    $document: document,
+                    $text: 'The document was modified or deleted after it was read.'
+                });
+                throw exception;
+            }
+        }
+        writeComponent(location, identifier, document);
+        return citation;
+    };
+
+    this.deleteDocument = async function(citation) {
+        const location = generateLocation('documents');
+        const identifier = generateDocumentIdentifier(citation);
+        const source = readComponent(location, identifier);
+        if (source) {
+            deleteComponent(location, identifier);
+            const document = bali.component(source);
+            return document;
+        }
+    };
+
+    this.contractExists = async function(citation) {
+        const location = generateLocation('contracts');
+        const identifier = generateDocumentIdentifier(citation);
+        return componentExists(location, identifier);
+    };
+
+    this.readContract = async function(citation) {
+        const location = generateLocation('contracts');
+        const identifier = generateDocumentIdentifier(citation);
+        const source = readComponent(location, identifier);
+        if (source) {
+            const contract = bali.component(source);
+            return contract;
+        }
+    };
+
+    this.writeContract = async function(contract) {
+        var location = generateLocation('contracts');
+        const document = contract.getAttribute('$document');
+        const citation = await notary.citeDocument(document);
+        const identifier = generateDocumentIdentifier(citation);
+        if (componentExists(location, identifier)) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$writeContract',
+                $exception: '$contractExists',
+                $location: location,
+                $identifier: identifier,
+                $contract: contract,
+                $text: 'The contract already exists.'
+            });
+            throw exception;
+        }
+        writeComponent(location, identifier, contract);
+        location = generateLocation('documents');
+        deleteComponent(location, identifier);
+        return citation;
+    };
+
+    this.messageAvailable = async function(bag) {
+        await this.expireLeases(bag, queue);
+        const location = generateLocation('messages');
+        const identifier = generateBagIdentifier(bag, 'available');
+        const list = listComponents(location, identifier);
+        return list.length > 0;
+    };
+
+    this.messageCount = async function(bag) {
+        await this.expireLeases(bag, queue);
+        const location = generateLocation('messages');
+        const identifier = generateBagIdentifier(bag, 'available');
+        const list = listComponents(location, identifier);
+        return list.length;
+    };
+
+    this.addMessage = async function(bag, message) {
+        const contract = await this.readContract(bag);
+        if (!contract) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$addMessage',
+                $exception: '$noBag',
+                $bag: bag,
+                $message: message,
+                $text: 'The bag does not exist.'
+            });
+            throw exception;
+        }
+        const capacity = contract.getAttribute('$document').getAttribute('$capacity');
+        const current = await this.messageCount(bag);
+        if (current >= capacity) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$addMessage',
+                $exception: '$bagFull',
+                $bag: bag,
+                $capacity: capacity,
+                $message: message,
+                $text: 'The message bag is already at full capacity.'
+            });
+            throw exception;
+        }
+        const location = generateLocation('messages');
+        const citation = await notary.citeDocument(message);
+        const available = generateMessageIdentifier(bag, 'available', citation);
+        if (componentExists(location, available)) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$addMessage',
+                $exception: '$messageExists',
+                $location: location,
+                $identifier: available,
+                $message: message,
+                $text: 'The message is already available in the bag.'
+            });
+            throw exception;
+        }
+        const processing = generateMessageIdentifier(bag, 'processing', citation);
+        if (componentExists(location, processing)) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$addMessage',
+                $exception: '$messageExists',
+                $location: location,
+                $identifier: processing,
+                $message: message,
+                $text: 'The message is already being processed.'
+            });
+            throw exception;
+        }
+        writeComponent(location, available, message);
+    };
+
+    this.removeMessage = async function(bag) {
+        const messages = await this.removeMessages(bag, 1);
+        if (!messages.isEmpty()) return messages.getItem(1);
+    };
+
+    this.removeMessages = async function(bag, count) {
+        await this.expireLeases(bag, queue);
+        const location = generateLocation('messages');
+        const available = generateBagIdentifier(bag, 'available');
+        const processing = generateBagIdentifier(bag, 'processing');
+        const duration = await this.leaseDuration(bag);
+        const list = listComponents(location, available);
+        const messages = bali.list();
+        const generator = bali.generator();
+        while (list.length > 0 && messages.getSize() < count) {
+            // select a message at random to match the semantics of a distributed bag
+            const index = generator.generateIndex(list.length);
+            const identifier = list.splice(index - 1, 1)[0];
+            const availableMessage = available + identifier;
+            const source = readComponent(location, availableMessage);
+            if (!source) continue;  // another caller got there first
+            deleteComponent(location, availableMessage);
+            const processingMessage = processing + identifier;
+            const message = bali.component(source);
+            const lease = bali.catalog({
+                $timestamp: bali.moment(),  // the start of the lease
+                $duration: duration,
+                $message: message
+            });
+            writeComponent(location, processingMessage, lease);
+            messages.addItem(message);
+        }
+        return messages;
+    };
+
+    this.returnMessage = async function(bag, message) {
+        const location = generateLocation('messages');
+        const citation = await notary.citeDocument(message);
+        const processing = generateMessageIdentifier(bag, 'processing', citation);
+        if (!deleteComponent(location, processing)) {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$returnMessage',
+                $exception: '$leaseExpired',
+                $location: location,
+                $identifier: processing,
+                $message: message,
+                $text: 'The lease on the message has expired.'
+            });
+            throw exception;
+        }
+        await this.requeueMessage(bag, message, queue);
+    };
+
+    this.deleteMessage = async function(bag, citation) {
+        const location = generateLocation('messages');
+        const identifier = generateMessageIdentifier(bag, 'processing', citation);
+        const lease = await queue.readLease(identifier);
+        if (lease && !this.leaseExpired(lease) && await queue.deleteLease(identifier)) {
+            return lease.getAttribute('$message');
+        } else {
+            const exception = bali.exception({
+                $module: '/bali/storage/MemoryStorage',
+                $procedure: '$deleteMessage',
+                $exception: '$leaseExpired',
+                $location: location,
+                $identifier: identifier,
+                $citation: citation,
+                $text: 'The lease on the message has expired.'
+            });
+            throw exception;
+        }
+    };
+
+    // provides the shared message lease handling with access to the messages
+    const queue = {
+        listLeases: async function(bag) {
+            const location = generateLocation('messages');
+            const processing = generateBagIdentifier(bag, 'processing');
+            const list = listComponents(location, processing);
+            return list.map(function(identifier) {
+                return processing + identifier;
+            });
+        },
+        readLease: async function(identifier) {
+            const location = generateLocation('messages');
+            const source = readComponent(location, identifier);
+            if (source) return bali.component(source);
+        },
+        deleteLease: async function(identifier) {
+            const location = generateLocation('messages');
+            return deleteComponent(location, identifier);
+        },
+        writeMessage: async function(bag, message) {
+            const location = generateLocation('messages');
+            const citation = await notary.citeDocument(message);
+            const available = generateMessageIdentifier(bag, 'available', citation);
+            writeComponent(location, available, message);
+        }
+    };
+
+    const generateLocation = function(type) {
+        return type;
+    };
+
+    const generateNameIdentifier = function(name) {
+        var identifier = name.toString().slice(1);  // remove the leading '/'
+        identifier += '.bali';
+        return identifier;
+    };
+
+    const generateDocumentIdentifier = function(citation) {
+        var identifier = citation.getAttribute('$tag').toString().slice(1);  // remove the leading '#'
+        identifier += '/' + citation.getAttribute('$version');
+        identifier += '.bali';
+        return identifier;
+    };
+
+    const generateBagIdentifier = function(bag, state) {
+        var identifier = bag.getAttribute('$tag').toString().slice(1);  // remove the leading '#'
+        identifier += '/' + bag.getAttribute('$version');
+        identifier += '/' + state;
+        return identifier;
+    };
+
+    const generateMessageIdentifier = function(bag, state, citation) {
+        var identifier = generateBagIdentifier(bag, state);
+        identifier += '/' + citation.getAttribute('$tag').toString().slice(1);  // remove the leading '#'
+        identifier += '/' + citation.getAttribute('$version');
+        identifier += '.bali';
+        return identifier;
+    };
+
+
+    // MEMORY ENCAPSULATION
+
+    const listComponents = function(location, prefix) {
+        const list = [];
+        prefix = location + '/' + prefix;
+        components.forEach(function(source, key) {
+            if (key.startsWith(prefix + '/')) {
+                list.push(key.slice(prefix.length));
+            }
+        });
+        return list;
+    };
+
+    const componentExists = function(location, identifier) {
+        const key = location + '/' + identifier;
+        return components.has(key);
+    };
+
+    const readComponent = function(location, identifier) {
+        const key = location + '/' + identifier;
+        return components.get(key);
+    };
+
+    const writeComponent = function(location, identifier, component) {
+        const key = location + '/' + identifier;
+        const source = bali.document(component);
+        components.set(key, source);
+    };
+
+    const deleteComponent = function(location, identifier) {
+        const key = location + '/' + identifier;
+        return components.delete(key);
+    };
+
+    return this;
+};
+MemoryStorage.prototype = Object.create(StorageMechanism.prototype);
+MemoryStorage.prototype.constructor = MemoryStorage;
+exports.MemoryStorage = MemoryStorage;
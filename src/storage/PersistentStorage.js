@@ -0,0 +1,218 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a storage mechanism wrapper that caches (on disk) all contracts,
+ * including certificates, that have been retrieved from the wrapped storage mechanism.  The
+ * contracts are immutable once signed so the cache remains valid across process restarts.
+ */
+const os = require('os');
+const crypto = require('crypto');
+const pfs = require('fs').promises;
+const bali = require('bali-component-framework').api();
+const StorageMechanism = require('../StorageMechanism').StorageMechanism;
+
+
+// DOCUMENT REPOSITORY
+
+/**
+ * This function creates a new instance of a persistent storage mechanism.  A remote storage
+ * mechanism is passed in and is used as the persistent store for all documents.  Contracts
+ * that are read from or written to the remote storage mechanism are also saved in the cache
+ * directory.
+ *
+ * @param {StorageMechanism} storage The actual storage mechanism that maintains documents.
+ * @param {String} directory An optional directory to be used for the cache. If no directory is
+ * specified, a directory called '.bali/cache/' is created in the home directory.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new persistent storage mechanism.
+ */
+const PersistentStorage = function(storage, directory, debug) {
+    StorageMechanism.call(this, debug);
+    debug = this.debug;
+
+    // validate the arguments
+    if (debug > 1) {
+        bali.component.validateArgument('/bali/repositories/PersistentStorage', '$PersistentStorage', '$storage', storage, [
+            '/javascript/Object'
+        ]);
+        bali.component.validateArgument('/bali/repositories/PersistentStorage', '$PersistentStorage', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+    directory = directory || os.homedir() + '/.bali/cache/';
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/repositories/PersistentStorage',
+            $directory: directory,
+            $storage: storage.toString()
+        });
+        return catalog.toString();
+    };
+
+    this.health = function() {
+        return storage.health();
+    };
+
+    this.nameExists = async function(name) {
+        // pass-through, names are not cached
+        return await storage.nameExists(name);
+    };
+
+    this.readName = async function(name) {
+        // pass-through, names are not cached
+        return await storage.readName(name);
+    };
+
+    this.writeName = async function(name, citation) {
+        // pass-through, names are not cached
+        return await storage.writeName(name, citation);
+    };
+
+    this.listNames = async function(prefix, cursor, size) {
+        // pass-through, names are not cached
+        return await storage.listNames(prefix, cursor, size);
+    };
+
+    this.documentExists = async function(citation) {
+        // pass-through, documents are not cached
+        return await storage.documentExists(citation);
+    };
+
+    this.readDocument = async function(citation) {
+        // pass-through, documents are not cached
+        return await storage.readDocument(citation);
+    };
+
+    this.writeDocument = async function(document, digest) {
+        // pass-through, documents are not cached
+        return await storage.writeDocument(document, digest);
+    };
+
+    this.deleteDocument = async function(citation) {
+        // pass-through, documents are not cached
+        return await storage.deleteDocument(citation);
+    };
+
+    this.contractExists = async function(citation) {
+        // check the cache
+        const key = generateCitationKey(citation);
+        if (await readCache(key)) return true;
+        // not found so we must check the backend storage
+        return await storage.contractExists(citation);
+    };
+
+    this.readContract = async function(citation) {
+        // check the cache
+        const key = generateCitationKey(citation);
+        var contract = await readCache(key);
+        if (!contract) {
+            // not found so we must read from the backend storage
+            contract = await storage.readContract(citation);
+            // add the contract to the cache
+            if (contract) await writeCache(key, contract);
+        }
+        return contract;
+    };
+
+    this.writeContract = async function(contract) {
+        // add the contract to the backend storage
+        const citation = await storage.writeContract(contract);
+        // cache the contract
+        const key = generateCitationKey(citation);
+        await writeCache(key, contract);
+        return citation;
+    };
+
+    this.messageAvailable = async function(bag) {
+        // pass-through, messages are not cached
+        return await storage.messageAvailable(bag);
+    };
+
+    this.messageCount = async function(bag) {
+        // pass-through, messages are not cached
+        return await storage.messageCount(bag);
+    };
+
+    this.addMessage = async function(bag, message) {
+        // pass-through, messages are not cached
+        return await storage.addMessage(bag, message);
+    };
+
+    this.removeMessage = async function(bag, wait) {
+        // pass-through, messages are not cached
+        return await storage.removeMessage(bag, wait);
+    };
+
+    this.removeMessages = async function(bag, count) {
+        // pass-through, messages are not cached
+        return await storage.removeMessages(bag, count);
+    };
+
+    this.returnMessage = async function(bag, message) {
+        // pass-through, messages are not cached
+        return await storage.returnMessage(bag, message);
+    };
+
+    this.deleteMessage = async function(bag, citation) {
+        // pass-through, messages are not cached
+        return await storage.deleteMessage(bag, citation);
+    };
+
+    const generateCitationKey = function(citation) {
+        const tag = citation.getAttribute('$tag');
+        const version = citation.getAttribute('$version');
+        const key = tag.toString().slice(1) + '/' + version;
+        return key;
+    };
+
+    const readCache = async function(key) {
+        const file = directory + key + '.bali';
+        try {
+            const source = await pfs.readFile(file, 'utf8');
+            return bali.component(source);
+        } catch (cause) {
+            if (cause.code === 'ENOENT') return;  // the contract has not been cached
+            // the cache is only an optimization so treat a damaged file as a cache miss
+            if (debug > 0) console.error('Unable to read the cached contract: ' + file + '\n' + cause);
+            await pfs.unlink(file).catch(function() {});
+        }
+    };
+
+    const writeCache = async function(key, contract) {
+        const file = directory + key + '.bali';
+        const temporary = file + '.' + crypto.randomBytes(8).toString('hex') + '.tmp';
+        try {
+            // write to a temporary file first so that a crash can never leave a partial file
+            await pfs.mkdir(file.slice(0, file.lastIndexOf('/')), {recursive: true, mode: 0o700});
+            await pfs.writeFile(temporary, bali.document(contract), {encoding: 'utf8', mode: 0o400});
+            await pfs.rename(temporary, file);
+        } catch (cause) {
+            // the cache is only an optimization so a failure to write to it is not fatal
+            if (debug > 0) console.error('Unable to cache the contract: ' + file + '\n' + cause);
+            await pfs.unlink(temporary).catch(function() {});
+        }
+    };
+
+    return this;
+};
+PersistentStorage.prototype = Object.create(StorageMechanism.prototype);
+PersistentStorage.prototype.constructor = PersistentStorage;
+exports.PersistentStorage = PersistentStorage;
@@ -16,16 +16,40 @@
 const axios = require('axios');
 const bali = require('bali-component-framework').api();
 const StorageMechanism = require('../StorageMechanism').StorageMechanism;
+const shiftOptions = require('../utilities/Options').shiftOptions;
 
 
 // DOCUMENT REPOSITORY
 
 /**
- * This function creates a new instance of a remote storage mechanism proxy.
+ * This function creates a new instance of a remote storage mechanism proxy.  The following
+ * options may be specified to control how requests are sent:
+ * <pre>
+ *   timeout: the number of seconds to wait for each response (default is 10)
+ *   retries: the number of times a failed idempotent request is retried (default is 3)
+ *   backoff: the number of seconds to wait before the first retry (default is 0.1)
+ *   threshold: the number of consecutive failures that trip the circuit breaker (default is 5)
+ *   cooldown: the number of seconds the circuit breaker stays open before probing (default is 30)
+ * </pre>
+ * The wait before each subsequent retry is doubled and randomized.  Only requests that are safe
+ * to repeat are retried: HEAD and GET requests, and PUT requests for names and contracts, which
+ * are immutable.  Message POST and DELETE requests are never retried.  If a retried PUT request
+ * finds the name or contract already exists, the earlier attempt may have created it before its
+ * response was lost, so the request succeeds if the existing resource matches the one sent.
+ *
+ * Copies of the names and contracts that were most recently retrieved are held onto along with
+ * their entity tags.  Since these resources are immutable, a subsequent request for one of them
+ * is sent as a conditional request and the held copy is used if the remote service responds
+ * that it has not been modified, saving the transfer of the full response body.
+ *
+ * Once the circuit breaker has tripped, requests fail fast with a <code>$circuitOpen</code>
+ * exception until the cooldown has passed.  Then a single request is allowed through to probe
+ * the service, and the circuit is closed again if it succeeds.
  *
  * @param {DigitalNotary} notary The digital notary to be used to notarize the request credentials.
  * @param {String} uri A string containing the URI for the remote storage mechanism with no
  * trailing slash.
+ * @param {Object} options An optional object containing the request options.
  * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
  * debugging that occurs:
  * <pre>
@@ -36,7 +60,9 @@ const StorageMechanism = require('../StorageMechanism').StorageMechanism;
  * </pre>
  * @returns {Object} The new remote storage mechanism.
  */
-const RemoteStorage = function(notary, uri, debug) {
+const RemoteStorage = function(notary, uri, options, debug) {
+    // support the original signature: RemoteStorage(notary, uri, debug)
+    [options, debug] = shiftOptions(options, debug);
     StorageMechanism.call(this, debug);
     debug = this.debug;
     if (debug > 2) console.log('Initializing the proxy to the remote repository: ' + uri);
@@ -49,8 +75,45 @@ const RemoteStorage = function(notary, uri, debug) {
         bali.component.validateArgument('/bali/repositories/RemoteStorage', '$RemoteStorage', '$uri', uri, [
             '/javascript/String'
         ]);
+        bali.component.validateArgument('/bali/repositories/RemoteStorage', '$RemoteStorage', '$timeout', options.timeout, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+        bali.component.validateArgument('/bali/repositories/RemoteStorage', '$RemoteStorage', '$retries', options.retries, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+        bali.component.validateArgument('/bali/repositories/RemoteStorage', '$RemoteStorage', '$backoff', options.backoff, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+        bali.component.validateArgument('/bali/repositories/RemoteStorage', '$RemoteStorage', '$threshold', options.threshold, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+        bali.component.validateArgument('/bali/repositories/RemoteStorage', '$RemoteStorage', '$cooldown', options.cooldown, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
     }
 
+    // the request policy (in milliseconds)
+    const timeout = (options.timeout === undefined ? TIMEOUT : options.timeout) * 1000;
+    const retries = options.retries === undefined ? RETRIES : options.retries;
+    const backoff = (options.backoff === undefined ? BACKOFF : options.backoff) * 1000;
+    const threshold = options.threshold || THRESHOLD;
+    const cooldown = (options.cooldown === undefined ? COOLDOWN : options.cooldown) * 1000;
+
+    // the state of the circuit breaker
+    const circuit = {
+        state: '$closed',
+        failures: 0,  // the number of consecutive failures
+        opened: undefined  // when the circuit was last opened (in milliseconds)
+    };
+
+    // copies of recently retrieved immutable resources, the first key is the least recently used
+    const copies = new Map();
+
     this.toString = function() {
         const catalog = bali.catalog({
             $module: '/bali/repositories/RemoteStorage',
@@ -59,6 +122,14 @@ const RemoteStorage = function(notary, uri, debug) {
         return catalog.toString();
     };
 
+    this.health = function() {
+        return bali.catalog({
+            $state: circuit.state,
+            $failures: circuit.failures,
+            $opened: circuit.opened ? bali.moment(circuit.opened) : undefined
+        });
+    };
+
     this.nameExists = async function(name) {
         const response = await sendRequest('HEAD', 'names', name);
         if (response.status !== 200 && response.status !== 404) {
@@ -75,7 +146,7 @@ const RemoteStorage = function(notary, uri, debug) {
     };
 
     this.readName = async function(name) {
-        const response = await sendRequest('GET', 'names', name);
+        const response = await sendConditionalRequest('names', name);
         if (response.status !== 200 && response.status !== 404) {
             const exception = bali.exception({
                 $module: '/bali/repositories/RemoteStorage',
@@ -95,6 +166,10 @@ const RemoteStorage = function(notary, uri, debug) {
 
     this.writeName = async function(name, citation) {
         const response = await sendRequest('PUT', 'names', name, undefined, citation);
+        if (response.status === 409 && response.retried) {
+            // an earlier attempt may have created the name before its response was lost
+            if (bali.areEqual(citation, await this.readName(name))) return citation;
+        }
         if (response.status !== 201) {
             const exception = bali.exception({
                 $module: '/bali/repositories/RemoteStorage',
@@ -109,6 +184,26 @@ const RemoteStorage = function(notary, uri, debug) {
         return citation;
     };
 
+    this.listNames = async function(prefix, cursor, size) {
+        const namespace = prefix.toString() + '/';  // a trailing slash requests a listing
+        const headers = {};
+        if (cursor) headers['nebula-cursor'] = cursor.toString();
+        if (size) headers['nebula-size'] = size.toString();
+        const response = await sendRequest('GET', 'names', namespace, undefined, undefined, headers);
+        if (response.status !== 200) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/RemoteStorage',
+                $procedure: '$listNames',
+                $exception: '$status' + response.status,
+                $prefix: prefix,
+                $text: 'Unable to list the names in the namespace.'
+            });
+            throw exception;
+        }
+        const source = response.data.toString('utf8');
+        return bali.component(source);
+    };
+
     this.documentExists = async function(citation) {
         const response = await sendRequest('HEAD', 'documents', citation);
         if (response.status !== 200 && response.status !== 404) {
@@ -142,9 +237,22 @@ const RemoteStorage = function(notary, uri, debug) {
         }
     };
 
-    this.writeDocument = async function(document) {
+    this.writeDocument = async function(document, digest) {
         const citation = await notary.citeDocument(document);
-        const response = await sendRequest('PUT', 'documents', citation, undefined, document);
+        const headers = {};
+        if (digest) headers['if-match'] = '"' + digest.toString().slice(1, -1).replace(/\s+/g, '') + '"';
+        const response = await sendRequest('PUT', 'documents', citation, undefined, document, headers);
+        if (response.status === 412) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/RemoteStorage',
+                $procedure: '$writeDocument',
+                $exception: '$documentModified',
+                $digest: digest,
+                $document: document,
+                $text: 'The document was modified or deleted after it was read.'
+            });
+            throw exception;
+        }
         if (response.status !== 200 && response.status !== 201) {
             const exception = bali.exception({
                 $module: '/bali/repositories/RemoteStorage',
@@ -193,7 +301,7 @@ const RemoteStorage = function(notary, uri, debug) {
     };
 
     this.readContract = async function(citation) {
-        const response = await sendRequest('GET', 'contracts', citation);
+        const response = await sendConditionalRequest('contracts', citation);
         if (response.status !== 200 && response.status !== 404) {
             const exception = bali.exception({
                 $module: '/bali/repositories/RemoteStorage',
@@ -214,6 +322,10 @@ const RemoteStorage = function(notary, uri, debug) {
         const document = contract.getAttribute('$document');
         const citation = await notary.citeDocument(document);
         const response = await sendRequest('PUT', 'contracts', citation, undefined, contract);
+        if (response.status === 409 && response.retried) {
+            // an earlier attempt may have created the contract before its response was lost
+            if (bali.areEqual(contract, await this.readContract(citation))) return citation;
+        }
         if (response.status !== 201) {
             const exception = bali.exception({
                 $module: '/bali/repositories/RemoteStorage',
@@ -274,8 +386,10 @@ const RemoteStorage = function(notary, uri, debug) {
         }
     };
 
-    this.removeMessage = async function(bag) {
-        const response = await sendRequest('DELETE', 'messages', bag);
+    this.removeMessage = async function(bag, wait) {
+        const headers = {};
+        if (wait) headers['nebula-wait'] = wait.toString();  // the service holds the request
+        const response = await sendRequest('DELETE', 'messages', bag, undefined, undefined, headers);
         if (response.status !== 200 && response.status !== 404) {
             const exception = bali.exception({
                 $module: '/bali/repositories/RemoteStorage',
@@ -292,6 +406,29 @@ const RemoteStorage = function(notary, uri, debug) {
         }
     };
 
+    this.removeMessages = async function(bag, count) {
+        const headers = {
+            'nebula-count': count.toString()  // borrow the messages in a single request
+        };
+        const response = await sendRequest('DELETE', 'messages', bag, undefined, undefined, headers);
+        if (response.status !== 200 && response.status !== 404) {
+            const exception = bali.exception({
+                $module: '/bali/repositories/RemoteStorage',
+                $procedure: '$removeMessages',
+                $exception: '$status' + response.status,
+                $bag: bag,
+                $count: count,
+                $text: 'Unable to borrow the messages from the bag.'
+            });
+            throw exception;
+        }
+        if (response.status === 200) {
+            const source = response.data.toString('utf8');
+            return bali.component(source);
+        }
+        return bali.list();  // the bag is empty
+    };
+
     this.returnMessage = async function(bag, message) {
         const citation = await notary.citeDocument(message);
         const response = await sendRequest('PUT', 'messages', bag, citation, message);
@@ -344,9 +481,15 @@ const RemoteStorage = function(notary, uri, debug) {
         return path;
     };
 
-    const generateCredentials = async function() {
+    const generateCredentials = async function(method, path) {
+        // bind the credentials to this request so that they cannot be replayed for another
+        const document = bali.instance('/nebula/notary/Credentials/v1', {
+            $salt: bali.tag(),  // makes the credentials unique
+            $method: bali.text(method),
+            $path: bali.text(path)
+        });
         const decoder = bali.decoder(0, debug);
-        var credentials = (await notary.generateCredentials()).toString();
+        var credentials = (await notary.notarizeDocument(document)).toString();
         credentials = decoder.base32Encode(Buffer.from(credentials, 'utf8')).replace(/\s+/g, '');
         return credentials;
     };
@@ -359,27 +502,127 @@ const RemoteStorage = function(notary, uri, debug) {
         return digest;
     };
 
+    const checkCircuit = function(method, fullURI) {
+        if (circuit.state === '$open' && Date.now() - circuit.opened >= cooldown) {
+            circuit.state = '$halfOpen';
+            return;  // let this request through to probe the service
+        }
+        if (circuit.state !== '$closed') {
+            const exception = bali.exception({
+                $module: '/bali/repositories/RemoteStorage',
+                $procedure: '$sendRequest',
+                $exception: '$circuitOpen',
+                $uri: bali.resource(fullURI),
+                $method: bali.text(method),
+                $opened: bali.moment(circuit.opened),
+                $text: bali.text('The remote service is unavailable, the request was not sent.')
+            });
+            throw exception;
+        }
+    };
+
+    const recordSuccess = function() {
+        circuit.state = '$closed';
+        circuit.failures = 0;
+        circuit.opened = undefined;
+    };
+
+    const recordFailure = function() {
+        circuit.failures++;
+        if (circuit.state === '$halfOpen' || circuit.failures >= threshold) {
+            circuit.state = '$open';
+            circuit.opened = Date.now();
+        }
+    };
+
+    const abandonProbe = function() {
+        // a probe that never reached the service says nothing about it so wait before probing again
+        if (circuit.state === '$halfOpen') {
+            circuit.state = '$open';
+            circuit.opened = Date.now();
+        }
+    };
+
+    const isIdempotent = function(method, type) {
+        if (method === 'HEAD' || method === 'GET') return true;
+        return method === 'PUT' && (type === 'names' || type === 'contracts');  // immutable resources
+    };
+
+    const isTransient = function(cause) {
+        if (cause.response) return TRANSIENT_STATUSES.includes(cause.response.status);
+        return !!cause.request;  // the connection was dropped or the request timed out
+    };
+
+    const pause = function(attempt) {
+        // exponential backoff with jitter so that many clients don't retry in lock step
+        const delay = backoff * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+        return new Promise(function(resolve) {
+            setTimeout(resolve, delay);
+        });
+    };
+
+    /**
+     * This function retrieves an immutable resource from the remote repository.  If a copy of
+     * the resource is being held, the request is made conditional on the resource having been
+     * modified and the copy is returned in a successful response if it has not been.
+     *
+     * @param {String} type The type of resource being retrieved.
+     * @param {Name|Catalog} resource The name of or a citation to the resource being retrieved.
+     * @returns {Object} The response to the request.
+     */
+    const sendConditionalRequest = async function(type, resource) {
+        const key = type + '/' + generatePath(resource);
+        const copy = copies.get(key);
+        const headers = {};
+        if (copy) headers['if-none-match'] = copy.etag;
+        const response = await sendRequest('GET', type, resource, undefined, undefined, headers);
+        if (response.status === 304 && copy) {
+            // the copy is still current so mark it as the most recently used
+            copies.delete(key);
+            copies.set(key, copy);
+            return {
+                status: 200,
+                headers: response.headers,
+                data: copy.data
+            };
+        }
+        const etag = response.headers && response.headers['etag'];
+        if (response.status === 200 && etag) {
+            copies.delete(key);
+            if (copies.size >= COPIES) copies.delete(copies.keys().next().value);  // the oldest
+            copies.set(key, {
+                etag: etag,
+                data: response.data
+            });
+        }
+        return response;
+    };
+
     /**
      * This function sends a RESTful web request to the remote repository with the specified,
      * method, type, resource and optional subresource.  An optional body of the request may be
      * included as well.  Any result that is returned in the body of the response is returned
-     * from this function.
+     * from this function.  Idempotent requests that fail due to a transient error are retried
+     * according to the request policy.
      *
      * @param {String} method The HTTP method type of the request.
      * @param {String} type The type of resource being acted upon.
      * @param {Name|Catalog} resource The name of or a citation to the resource being acted upon.
      * @param {Catalog} subresource An optional citation to a subresource of the main resource.
      * @param {Catalog} body An optional catalog to be passed as the body of the request.
+     * @param {Object} headers An optional object containing additional request headers.
      * @returns {Object} An optional response to the request.
      */
-    const sendRequest = async function(method, type, resource, subresource, body) {
+    const sendRequest = async function(method, type, resource, subresource, body, headers) {
 
         // setup the request URI and options
         const fullURI = uri + '/repository/' + type + '/' + generatePath(resource, subresource);
+        const path = new URL(fullURI).pathname;
+        const wait = headers && headers['nebula-wait'] ? Number(headers['nebula-wait']) * 1000 : 0;
         const options = {
             url: fullURI,
             method: method,
-            //timeout: 1000,
+            timeout: timeout + wait,  // allow for the service holding the request
             responseType: 'arraybuffer',
             validateStatus: function (status) {
                 return status < 400;  // only flag unexpected server errors
@@ -398,45 +641,66 @@ const RemoteStorage = function(notary, uri, debug) {
             options.data = data;
         }
 
+        // add any additional headers
+        Object.assign(options.headers, headers);
+
         // add nebula specific headers
-        options.headers['nebula-credentials'] = await generateCredentials();
         options.headers['nebula-digest'] = generateDigest(resource);
         options.headers['nebula-subdigest'] = generateDigest(subresource);
 
-        // send the request
-        try {
-            const response = await axios(options);
-            return response;
-        } catch (cause) {
-            if (cause.response) {
-                // the server responded with an error status
-                return cause.response;
-            }
-            if (cause.request) {
-                // the request was sent but no response was received
+        // fail fast if the remote service is known to be unavailable
+        checkCircuit(method, fullURI);
+
+        // send the request, retrying it if it is safe to do so
+        const limit = isIdempotent(method, type) ? retries : 0;
+        var attempt = 0;
+        while (true) {
+            try {
+                options.headers['nebula-credentials'] = await generateCredentials(method, path);  // fresh for each attempt
+                const response = await axios(options);
+                recordSuccess();
+                response.retried = attempt > 0;
+                return response;
+            } catch (cause) {
+                if (attempt < limit && isTransient(cause)) {
+                    if (debug > 2) console.log('Retrying the ' + method + ' request: ' + fullURI);
+                    await pause(attempt++);
+                    continue;
+                }
+                if (cause.response) {
+                    // the server responded with an error status
+                    recordSuccess();
+                    cause.response.retried = attempt > 0;
+                    return cause.response;
+                }
+                if (cause.request) {
+                    // the request was sent but no response was received
+                    recordFailure();
+                    const exception = bali.exception({
+                        $module: '/bali/repositories/RemoteStorage',
+                        $procedure: '$sendRequest',
+                        $exception: '$serverDown',
+                        $uri: bali.resource(fullURI),
+                        $method: bali.text(method),
+                        $status: cause.request.status,
+                        $details: bali.text(cause.request.statusText),
+                        $text: bali.text('The request received no response.')
+                    }, cause);
+                    throw exception;
+                }
+                // the request could not be sent
+                abandonProbe();
                 const exception = bali.exception({
                     $module: '/bali/repositories/RemoteStorage',
                     $procedure: '$sendRequest',
-                    $exception: '$serverDown',
+                    $exception: '$malformedRequest',
                     $uri: bali.resource(fullURI),
                     $method: bali.text(method),
-                    $status: cause.request.status,
-                    $details: bali.text(cause.request.statusText),
-                    $text: bali.text('The request received no response.')
+                    $body: body,
+                    $text: bali.text('The request was not formed correctly.')
                 }, cause);
                 throw exception;
             }
-            // the request could not be sent
-            const exception = bali.exception({
-                $module: '/bali/repositories/RemoteStorage',
-                $procedure: '$sendRequest',
-                $exception: '$malformedRequest',
-                $uri: bali.resource(fullURI),
-                $method: bali.text(method),
-                $body: body,
-                $text: bali.text('The request was not formed correctly.')
-            }, cause);
-            throw exception;
         }
     };
 
@@ -445,3 +709,21 @@ const RemoteStorage = function(notary, uri, debug) {
 RemoteStorage.prototype = Object.create(StorageMechanism.prototype);
 RemoteStorage.prototype.constructor = RemoteStorage;
 exports.RemoteStorage = RemoteStorage;
+
+
+// PRIVATE CONSTANTS
+
+// the default request policy (in seconds)
+const TIMEOUT = 10;
+const RETRIES = 3;
+const BACKOFF = 0.1;
+
+// the default circuit breaker policy
+const THRESHOLD = 5;  // consecutive failures
+const COOLDOWN = 30;  // in seconds
+
+// the maximum number of immutable resources to hold onto for conditional requests
+const COPIES = 256;
+
+// the response statuses that are expected to go away on their own
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
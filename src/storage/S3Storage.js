@@ -15,14 +15,13 @@
  */
 const {
     S3Client,
-    ListObjectsCommand,
+    ListObjectsV2Command,
     HeadObjectCommand,
     GetObjectCommand,
     PutObjectCommand,
     DeleteObjectCommand
 } = require('@aws-sdk/client-s3');
 
-const s3 = new S3Client();
 const bali = require('bali-component-framework').api();
 const StorageMechanism = require('../StorageMechanism').StorageMechanism;
 
@@ -30,7 +29,19 @@ const StorageMechanism = require('../StorageMechanism').StorageMechanism;
 // DOCUMENT REPOSITORY
 
 /**
- * This function creates a new instance of an S3 storage mechanism proxy.
+ * This function creates a new instance of an S3 storage mechanism proxy.  The configuration
+ * must specify the bucket for each type of resource (<code>names</code>, <code>documents</code>,
+ * <code>contracts</code> and <code>messages</code>).  It may also specify the following
+ * optional settings for the S3 client, which allow an S3-compatible service to be used
+ * instead of AWS S3:
+ * <pre>
+ *   endpoint: the URL of the S3 service (e.g. 'http://localhost:9000')
+ *   region: the region in which the buckets reside
+ *   forcePathStyle: whether or not the bucket is part of the path rather than the host name
+ *   credentials: an object containing the accessKeyId and secretAccessKey for the service
+ *   client: an existing S3 client to be used instead of creating a new one
+ * </pre>
+ * If no client settings are specified, the ambient AWS configuration is used.
  *
  * @param {DigitalNotary} notary The digital notary to be used to cite the documents.
  * @param {Object} configuration An object containing the S3 configuration information.
@@ -55,10 +66,20 @@ const S3Storage = function(notary, configuration, debug) {
         ]);
     }
 
+    // create the S3 client using any client settings in the configuration
+    const s3 = configuration.client || new S3Client(generateClientConfiguration(configuration));
+
     this.toString = function() {
         const catalog = bali.catalog({
             $module: '/bali/storage/S3Storage',
-            $configuration: configuration
+            $configuration: {  // don't expose the credentials
+                $names: configuration.names,
+                $documents: configuration.documents,
+                $contracts: configuration.contracts,
+                $messages: configuration.messages,
+                $endpoint: configuration.endpoint,
+                $region: configuration.region
+            }
         });
         return catalog.toString();
     };
@@ -83,7 +104,7 @@ const S3Storage = function(notary, configuration, debug) {
     this.writeName = async function(name, citation) {
         const location = generateLocation('names');
         const identifier = generateNameIdentifier(name);
-        if (await componentExists(location, identifier)) {
+        if (!await writeComponent(location, identifier, citation)) {
             const exception = bali.exception({
                 $module: '/bali/storage/S3Storage',
                 $procedure: '$writeName',
@@ -96,10 +117,29 @@ const S3Storage = function(notary, configuration, debug) {
             });
             throw exception;
         }
-        await writeComponent(location, identifier, citation);
         return citation;
     };
 
+    this.listNames = async function(prefix, cursor, size) {
+        const location = generateLocation('names');
+        const identifier = generateNameIdentifier(prefix).slice(0, -5);  // remove the trailing '.bali'
+        // S3 orders the keys including their '.bali' suffix (e.g. 'v1.2.bali' before 'v1.bali') so the
+        // cursor only skips the keys that precede every following name, the page is cut in name order
+        const start = cursor ? generateNameIdentifier(cursor).slice(0, -5) : undefined;
+        const list = await listComponents(location, identifier + '/', start);  // don't match sibling prefixes
+        var names = list.map(function(path) {
+            return prefix.toString() + '/' + path.slice(0, -5);  // remove the trailing '.bali'
+        }).sort();
+        if (cursor) {
+            // only include the names that follow the cursor
+            names = names.filter(function(name) {
+                return name > cursor.toString();
+            });
+        }
+        if (size) names = names.slice(0, size);
+        return bali.list(names);
+    };
+
     this.documentExists = async function(citation) {
         const location = generateLocation('documents');
         const identifier = generateDocumentIdentifier(citation);
@@ -117,7 +157,7 @@ const S3Storage = function(notary, configuration, debug) {
         }
     };
 
-    this.writeDocument = async function(document) {
+    this.writeDocument = async function(document, digest) {
         var location = generateLocation('contracts');
         const citation = await notary.citeDocument(document);
         const identifier = generateDocumentIdentifier(citation);
@@ -134,6 +174,27 @@ const S3Storage = function(notary, configuration, debug) {
             throw exception;
         }
         location = generateLocation('documents');
+        if (digest) {
+            // make sure the existing document has not been modified since it was read
+            const tagged = await readTaggedComponent(location, identifier);
+            const existing = tagged ? await notary.citeDocument(bali.component(tagged.source)) : undefined;
+            if (!existing || !bali.areEqual(existing.getAttribute('$digest'), digest) ||
+                    // the write fails if the document was changed after it was read above
+                    ! await writeComponent(location, identifier, document, true, tagged.entityTag)) {
+                const exception = bali.exception({
+                    $module: '/bali/storage/S3Storage',
+                    $procedure: '$writeDocument',
+                    $exception: '$documentModified',
+                    $location: location,
+                    $identifier: identifier,
+                    $digest: digest,
+                    $document: document,
+                    $text: 'The document was modified or deleted after it was read.'
+                });
+                throw exception;
+            }
+            return citation;
+        }
         await writeComponent(location, identifier, document, true);
         return citation;
     };
@@ -172,7 +233,7 @@ const S3Storage = function(notary, configuration, debug) {
         const document = contract.getAttribute('$document');
         const citation = await notary.citeDocument(document);
         const identifier = generateDocumentIdentifier(citation);
-        if (await componentExists(location, identifier)) {
+        if (!await writeComponent(location, identifier, contract)) {
             const exception = bali.exception({
                 $module: '/bali/storage/S3Storage',
                 $procedure: '$writeContract',
@@ -184,13 +245,13 @@ const S3Storage = function(notary, configuration, debug) {
             });
             throw exception;
         }
-        await writeComponent(location, identifier, contract);
         location = generateLocation('documents');
         await deleteComponent(location, identifier);
         return citation;
     };
 
     this.messageAvailable = async function(bag) {
+        await this.expireLeases(bag, queue);
         const location = generateLocation('messages');
         const identifier = generateBagIdentifier(bag, 'available');
         const list = await listComponents(location, identifier);
@@ -198,6 +259,7 @@ const S3Storage = function(notary, configuration, debug) {
     };
 
     this.messageCount = async function(bag) {
+        await this.expireLeases(bag, queue);
         const location = generateLocation('messages');
         const identifier = generateBagIdentifier(bag, 'available');
         const list = await listComponents(location, identifier);
@@ -264,41 +326,55 @@ const S3Storage = function(notary, configuration, debug) {
     };
 
     this.removeMessage = async function(bag) {
+        const messages = await this.removeMessages(bag, 1);
+        if (!messages.isEmpty()) return messages.getItem(1);
+    };
+
+    this.removeMessages = async function(bag, count) {
+        await this.expireLeases(bag, queue);
         const location = generateLocation('messages');
         const available = generateBagIdentifier(bag, 'available');
         const processing = generateBagIdentifier(bag, 'processing');
+        const duration = await this.leaseDuration(bag);
+        const messages = bali.list();
+        const generator = bali.generator();
         var limit = 5;
-        while (limit--) {
-            const list = await listComponents(location, available);
-            const count = list.length;
-            if (count === 0) break;  // no more messages
-            const messages = bali.list(list);
-            // select a message at random since a distributed bag cannot guarantee FIFO
-            const generator = bali.generator();
-            const index = generator.generateIndex(count);
-            const identifier = messages.getItem(index);
-            const availableMessage = available + identifier;
-            const bytes = await readComponent(location, availableMessage);
-            if (!bytes) {
-                // someone else got there first, keep trying
-                continue;
-            }
-            if (! await deleteComponent(location, availableMessage)) {
-                // someone else got there first, keep trying
-                continue;
+        while (messages.getSize() < count && limit--) {
+            const list = await listComponents(location, available, undefined, PAGE_SIZE);  // a page is enough to choose from
+            if (list.length === 0) break;  // no more messages
+            while (list.length > 0 && messages.getSize() < count) {
+                // select a message at random since a distributed bag cannot guarantee FIFO
+                const index = generator.generateIndex(list.length);
+                const identifier = list.splice(index - 1, 1)[0];
+                const availableMessage = available + identifier;
+                const bytes = await readComponent(location, availableMessage);
+                if (!bytes) {
+                    // someone else got there first, try another one
+                    continue;
+                }
+                if (! await deleteComponent(location, availableMessage)) {
+                    // someone else got there first, try another one
+                    continue;
+                }
+                // we got there first
+                const processingMessage = processing + identifier;
+                const source = bytes.toString('utf8');
+                const message = bali.component(source);
+                const lease = bali.catalog({
+                    $timestamp: bali.moment(),  // the start of the lease
+                    $duration: duration,
+                    $message: message
+                });
+                await writeComponent(location, processingMessage, lease, true);
+                messages.addItem(message);
             }
-            // we got there first
-            const processingMessage = processing + identifier;
-            const source = bytes.toString('utf8');
-            const message = bali.component(source);
-            await writeComponent(location, processingMessage, message, true);
-            return message;
         }
+        return messages;
     };
 
     this.returnMessage = async function(bag, message) {
         const location = generateLocation('messages');
-        var citation = await notary.citeDocument(message);
+        const citation = await notary.citeDocument(message);
         const processing = generateMessageIdentifier(bag, 'processing', citation);
         if (! await deleteComponent(location, processing)) {
             const exception = bali.exception({
@@ -312,22 +388,15 @@ const S3Storage = function(notary, configuration, debug) {
             });
             throw exception;
         }
-        const version = bali.version.nextVersion(message.getParameter('$version'));
-        message.setParameter('$version', version);
-        citation = await notary.citeDocument(message);
-        const available = generateMessageIdentifier(bag, 'available', citation);
-        await writeComponent(location, available, message, true);
+        await this.requeueMessage(bag, message, queue);
     };
 
     this.deleteMessage = async function(bag, citation) {
         const location = generateLocation('messages');
         const identifier = generateMessageIdentifier(bag, 'processing', citation);
-        const bytes = await readComponent(location, identifier);
-        if (bytes) {
-            const source = bytes.toString('utf8');
-            const message = bali.component(source);
-            await deleteComponent(location, identifier);
-            return message;
+        const lease = await queue.readLease(identifier);
+        if (lease && !this.leaseExpired(lease) && await queue.deleteLease(identifier)) {
+            return lease.getAttribute('$message');
         } else {
             const exception = bali.exception({
                 $module: '/bali/storage/S3Storage',
@@ -342,6 +411,33 @@ const S3Storage = function(notary, configuration, debug) {
         }
     };
 
+    // provides the shared message lease handling with access to the messages
+    const queue = {
+        listLeases: async function(bag) {
+            const location = generateLocation('messages');
+            const processing = generateBagIdentifier(bag, 'processing');
+            const list = await listComponents(location, processing);
+            return list.map(function(identifier) {
+                return processing + identifier;
+            });
+        },
+        readLease: async function(identifier) {
+            const location = generateLocation('messages');
+            const bytes = await readComponent(location, identifier);
+            if (bytes) return bali.component(bytes.toString('utf8'));
+        },
+        deleteLease: async function(identifier) {
+            const location = generateLocation('messages');
+            return await deleteComponent(location, identifier);
+        },
+        writeMessage: async function(bag, message) {
+            const location = generateLocation('messages');
+            const citation = await notary.citeDocument(message);
+            const available = generateMessageIdentifier(bag, 'available', citation);
+            await writeComponent(location, available, message, true);
+        }
+    };
+
     const generateLocation = function(type) {
         return configuration[type];
     };
@@ -377,21 +473,26 @@ const S3Storage = function(notary, configuration, debug) {
 
     // AWS S3 Encapsulation
 
-    const listComponents = async function(location, prefix) {
+    const listComponents = async function(location, prefix, start, size) {
         const list = [];
         try {
-            // the resulting list contains objects with metadata, we only want the keys
-            const command = new ListObjectsCommand({Bucket: location, Prefix: prefix, MaxKeys: 64});
-            const response = await s3.send(command);
-            if (response.Contents) {
-                response.Contents.forEach(function(object) {
-                    list.push(object.Key.replace(prefix, ''));
-                });
-            }
+            // each response contains at most one page of keys so follow the continuation tokens
+            var token;
+            do {
+                const request = {Bucket: location, Prefix: prefix, StartAfter: start, ContinuationToken: token};
+                if (size) request.MaxKeys = Math.min(size - list.length, PAGE_SIZE);
+                const response = await s3.send(new ListObjectsV2Command(request));
+                if (response.Contents) {
+                    // the resulting list contains objects with metadata, we only want the keys
+                    response.Contents.forEach(function(object) {
+                        list.push(object.Key.replace(prefix, ''));
+                    });
+                }
+                token = response.IsTruncated ? response.NextContinuationToken : undefined;
+            } while (token && !(size && list.length >= size));
             return list;
         } catch (cause) {
-            if (debug) console.error('Unable to list the components in the S3 bucket:\n  ' + location + '/' + prefix);
-            return list;
+            throw generateException('$listComponents', location, prefix, cause);
         }
     };
 
@@ -406,12 +507,17 @@ const S3Storage = function(notary, configuration, debug) {
             }
             return false;
         } catch (cause) {
-            if (debug) console.error('Unable to see if the component exists in the S3 bucket:\n  ' + location + '/' + identifier);
-            return false
+            if (isNotFound(cause)) return false;
+            throw generateException('$componentExists', location, identifier, cause);
         }
     };
 
     const readComponent = async function(location, identifier) {
+        const tagged = await readTaggedComponent(location, identifier);
+        if (tagged) return tagged.source;
+    };
+
+    const readTaggedComponent = async function(location, identifier) {
         try {
             const streamToString = (stream) => new Promise((resolve, reject) => {
                 const chunks = [];
@@ -426,20 +532,37 @@ const S3Storage = function(notary, configuration, debug) {
             // must check for the delete marker for versioned buckets
             if (!response.DeleteMarker && response.ContentLength) {
                 const component = await streamToString(response.Body);
-                return component;
+                return {
+                    source: component,
+                    entityTag: response.ETag  // identifies this version of the object
+                };
             }
         } catch (cause) {
-            if (debug) console.error('Unable to read the component from the S3 bucket:\n  ' + location + '/' + identifier);
+            if (isNotFound(cause)) return;
+            throw generateException('$readComponent', location, identifier, cause);
         }
     };
 
-    const writeComponent = async function(location, identifier, component, isMutable) {
-        try {
-            const source = bali.document(component);
-            const command = new PutObjectCommand({Bucket: location, Key: identifier, Body: source});
-            const response = await s3.send(command);
-        } catch (cause) {
-            if (debug) console.error('Unable to write the component to the S3 bucket:\n  ' + location + '/' + identifier);
+    const writeComponent = async function(location, identifier, component, isMutable, entityTag) {
+        const source = bali.document(component);
+        const request = {Bucket: location, Key: identifier, Body: source};
+        if (!isMutable) request.IfNoneMatch = '*';  // only create the object if it doesn't exist
+        if (entityTag) request.IfMatch = entityTag;  // only replace the specified version
+        var attempt = 0;
+        while (true) {
+            try {
+                const command = new PutObjectCommand(request);
+                await s3.send(command);
+                return true;
+            } catch (cause) {
+                if (isPreconditionFailed(cause)) return false;
+                if (isInProgress(cause) && attempt < CONFLICT_RETRIES) {
+                    // the outcome of the concurrent write decides whether the condition still holds
+                    await sleep(CONFLICT_DELAY * ++attempt);
+                    continue;
+                }
+                throw generateException('$writeComponent', location, identifier, cause);
+            }
         }
     };
 
@@ -448,14 +571,57 @@ const S3Storage = function(notary, configuration, debug) {
             // NOTE: for non-versioned buckets, deleteObject returns an empty object so
             // there is no way to know whether or not the object even existed.
             const command = new DeleteObjectCommand({Bucket: location, Key: identifier});
-            const response = await s3.send(command);
+            await s3.send(command);
             return true;
         } catch (cause) {
-            if (debug) console.error('Unable to delete the component from the S3 bucket:\n  ' + location + '/' + identifier);
-            return false
+            if (isNotFound(cause)) return false;
+            throw generateException('$deleteComponent', location, identifier, cause);
         }
     };
 
+    const isNotFound = function(cause) {
+        // a missing bucket is a configuration problem rather than a missing component
+        if (cause.name === 'NoSuchBucket') return false;
+        const status = cause.$metadata && cause.$metadata.httpStatusCode;
+        return cause.name === 'NoSuchKey' || cause.name === 'NotFound' || status === 404;
+    };
+
+    const isPreconditionFailed = function(cause) {
+        // a conditional write failed because the object already exists or was changed by someone else
+        const status = cause.$metadata && cause.$metadata.httpStatusCode;
+        return cause.name === 'PreconditionFailed' || status === 412;
+    };
+
+    const isInProgress = function(cause) {
+        // a conditional write collided with another write to the same object that hadn't finished yet
+        const status = cause.$metadata && cause.$metadata.httpStatusCode;
+        return cause.name === 'ConditionalRequestConflict' || status === 409;
+    };
+
+    const generateException = function(procedure, location, identifier, cause) {
+        const status = cause.$metadata && cause.$metadata.httpStatusCode;
+        var type = '$storageFailure';
+        var text = 'The S3 request failed.';
+        if (AUTHORIZATION_ERRORS.includes(cause.name) || status === 401 || status === 403) {
+            type = '$accessDenied';
+            text = 'The S3 request was not authorized.';
+        } else if (cause.$retryable || TRANSIENT_ERRORS.includes(cause.name) ||
+                TRANSIENT_ERRORS.includes(cause.code) || status === 429 || status >= 500) {
+            type = '$serviceUnavailable';
+            text = 'The S3 service is temporarily unavailable, the request may be retried.';
+        }
+        const exception = bali.exception({
+            $module: '/bali/storage/S3Storage',
+            $procedure: procedure,
+            $exception: type,
+            $location: location,
+            $identifier: identifier,
+            $status: status,
+            $text: text
+        }, cause);
+        return exception;
+    };
+
     return this;
 };
 S3Storage.prototype = Object.create(StorageMechanism.prototype);
@@ -463,6 +629,57 @@ S3Storage.prototype.constructor = S3Storage;
 exports.S3Storage = S3Storage;
 
 
+// the maximum number of keys that S3 returns in a single listing response
+const PAGE_SIZE = 1000;
+
+// the number of times a conditional write is retried while a concurrent write is in progress
+const CONFLICT_RETRIES = 3;
+
+// the number of milliseconds to wait before each retry, multiplied by the attempt number
+const CONFLICT_DELAY = 100;
+
+// the names of the S3 errors that indicate missing or insufficient credentials
+const AUTHORIZATION_ERRORS = [
+    'AccessDenied',
+    'InvalidAccessKeyId',
+    'SignatureDoesNotMatch',
+    'ExpiredToken',
+    'CredentialsProviderError'
+];
+
+// the names and codes of the S3 errors that are expected to go away on their own
+const TRANSIENT_ERRORS = [
+    'ThrottlingException',
+    'SlowDown',
+    'RequestTimeout',
+    'InternalError',
+    'ServiceUnavailable',
+    'ConditionalRequestConflict',
+    'TimeoutError',
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN'
+];
+
+
+/**
+ * This function extracts the S3 client settings from the specified storage configuration.
+ *
+ * @param {Object} configuration An object containing the S3 configuration information.
+ * @returns {Object} An object containing the settings for a new S3 client.
+ */
+const generateClientConfiguration = function(configuration) {
+    const settings = {};
+    if (configuration.endpoint) settings.endpoint = configuration.endpoint;
+    if (configuration.region) settings.region = configuration.region;
+    if (configuration.forcePathStyle) settings.forcePathStyle = configuration.forcePathStyle;
+    if (configuration.credentials) settings.credentials = configuration.credentials;
+    return settings;
+};
+
+
 /**
  * This function causes the current thread to sleep for the specified number of milliseconds.
  * NOTE: it must be called using 'await' or it won't work.
@@ -64,6 +64,10 @@ const ValidatedStorage = function(notary, repository, debug) {
         return catalog.toString();
     };
 
+    this.health = function() {
+        return repository.health();
+    };
+
     this.nameExists = async function(name) {
         return await repository.nameExists(name);
     };
@@ -79,6 +83,10 @@ const ValidatedStorage = function(notary, repository, debug) {
         return await repository.writeName(name, citation);
     };
 
+    this.listNames = async function(prefix, cursor, size) {
+        return await repository.listNames(prefix, cursor, size);
+    };
+
     this.documentExists = async function(citation) {
         return await repository.documentExists(citation);
     };
@@ -91,8 +99,8 @@ const ValidatedStorage = function(notary, repository, debug) {
         return document;
     };
 
-    this.writeDocument = async function(document) {
-        return await repository.writeDocument(document);
+    this.writeDocument = async function(document, digest) {
+        return await repository.writeDocument(document, digest);
     };
 
     this.deleteDocument = async function(citation) {
@@ -130,11 +138,16 @@ const ValidatedStorage = function(notary, repository, debug) {
         return await repository.addMessage(bag, message);
     };
 
-    this.removeMessage = async function(bag) {
-        const message = await repository.removeMessage(bag);
+    this.removeMessage = async function(bag, wait) {
+        const message = await repository.removeMessage(bag, wait);
         return message;
     };
 
+    this.removeMessages = async function(bag, count) {
+        const messages = await repository.removeMessages(bag, count);
+        return messages;
+    };
+
     this.returnMessage = async function(bag, message) {
         return await repository.returnMessage(bag, message);
     };
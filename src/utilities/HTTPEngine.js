@@ -12,14 +12,26 @@
 /*
  * This class enforces the relatively standard HTTP web API semantics documented here:
  * https://github.com/craterdog-bali/js-bali-nebula-services/wiki/HTTP-Method-Semantics
+ *
+ * It also enforces a cross-origin resource sharing (CORS) policy so that browser-based clients
+ * that are served from other origins may call the engine.  The following options may be
+ * specified to configure the policy:
+ * <pre>
+ *   origins: an array of the origins that are allowed, or ['*'] for any (default is none)
+ *   methods: an array of the HTTP methods that are allowed (default is all of them)
+ *   maxAge: the number of seconds that a preflight response may be cached (default is 600)
+ * </pre>
+ * Preflight OPTIONS requests are answered automatically.
  */
 const bali = require('bali-component-framework').api();
+const JSONTranslator = require('./JSONTranslator');
 
 
 // PUBLIC CLASSES
 
-const HTTPEngine = function(notary, storage, handlers, debug) {
+const HTTPEngine = function(notary, storage, handlers, options, debug) {
     this.debug = debug || 0;  // default is off
+    options = options || {};
     const protocol = notary.getProtocols().getItem(-1);  // most recent protocol
 
     // PRIVATE ASPECTS
@@ -29,66 +41,49 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
     const HEAD = 'HEAD';
     const GET = 'GET';
     const DELETE = 'DELETE';
+    const OPTIONS = 'OPTIONS';
+
+    // the cross-origin resource sharing policy
+    const origins = options.origins || [];
+    const methods = options.methods || [HEAD, GET, PUT, POST, DELETE];
+    const maxAge = options.maxAge === undefined ? MAX_AGE : options.maxAge;
 
     const STYLE = 'https://bali-nebula.net/static/styles/BDN.css';
 
+    // the salts of recently used credentials, in the order they were used, mapped to their account
+    // and when they can be forgotten (in milliseconds)
+    const nonces = new Map();
+    // the number of salts that are being remembered for each account
+    const counts = new Map();
+    const maxNonces = options.maxNonces || MAXIMUM_NONCES;  // per account
+
 
     // PUBLIC ASPECTS
 
     this.processRequest = async function(request) {
-        var parameters;
-        try {
-            // extract the request parameters
-            parameters = decodeRequest(request);
-            if (this.debug > 2) console.log('Request: ' + bali.catalog(parameters));
-            if (!parameters) {
-                if (this.debug > 2) console.log('The service received a badly formed request.');
-                return this.encodeError(parameters, 400, 'application/bali', 'Bad Request');
-            }
-
-            // validate the request type
-            if (!handlers[parameters.type]) {
-                if (this.debug > 2) console.log('The service received an invalid request type: ' + parameters.type);
-                return this.encodeError(parameters, 400, parameters.resultType, 'Bad Request');
-            }
+        const method = request.httpMethod || request.method;
+        const response = (method === OPTIONS) ? encodeOptions(request) : await handleRequest.call(this, request);
+        return applyPolicy(request, response);
+    };
 
-            // validate the request method
-            if (!handlers[parameters.type][parameters.method]) {
-                if (this.debug > 2) console.log('The service received an invalid request method: ' + parameters.method);
-                return this.encodeError(parameters, 405, parameters.resultType, 'Method Not Allowed');
-            }
 
-            // validate any credentials that were passed with the request (there may not be any)
-            if (!(await validCredentials(parameters))) {
-                if (this.debug > 2) console.log('Invalid credentials were passed with the request.');
-                return this.encodeError(parameters, 401, parameters.resultType, 'Invalid Credentials');
-            }
+    this.extractName = function(parameters) {
+        if (this.isListing(parameters)) return this.extractPrefix(parameters);
+        const name = bali.component('/' + parameters.resource.join('/'));
+        return name;
+    };
 
-            // handle the request (must explicitly pass in 'this')
-            const response = await handlers[parameters.type][parameters.method].call(this, parameters);
-            if (this.debug > 2) console.log('Response: ' + bali.catalog(response));
-            return response;
 
-        } catch (cause) {
-            if (this.debug > 0) {
-                const exception = bali.exception({
-                    $module: '/bali/services/HTTPEngine',
-                    $procedure: '$processRequest',
-                    $exception: '$badRequest',
-                    $parameters: parameters,
-                    $text: 'The processing of the HTTP request failed.'
-                }, cause);
-                console.log('Response: 400 (Bad Request)');
-                console.log(exception.toString());
-            }
-            return this.encodeError(parameters, 400, parameters.resultType, 'Bad Request');
-        }
+    this.isListing = function(parameters) {
+        // a trailing slash on the resource path requests a listing of the namespace
+        const resource = parameters.resource;
+        return resource.length > 1 && resource[resource.length - 1] === '';
     };
 
 
-    this.extractName = function(parameters) {
-        const name = bali.component('/' + parameters.resource.join('/'));
-        return name;
+    this.extractPrefix = function(parameters) {
+        const prefix = bali.component('/' + parameters.resource.slice(0, -1).join('/'));
+        return prefix;
     };
 
 
@@ -135,12 +130,14 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
             headers: {
             },
             statusCode: status,
-            body: (resultType === 'text/html') ?
-                bali.html(error, this.extractName(parameters), STYLE) : error.toString()
+            body: (resultType === 'application/json') ?
+                this.encodeBody(parameters, resultType, error.getAttributes()) :
+                this.encodeBody(parameters, resultType, error)
         };
         response.headers['content-length'] = response.body.length;
         response.headers['content-type'] = resultType;
         response.headers['cache-control'] = 'no-store';
+        response.headers['vary'] = 'Accept';  // the body depends on the negotiated media type
         if (status === 401) {
             response.headers['www-authenticate'] = 'Nebula-Credentials realm="The Bali Nebula™", charset="UTF-8"';
         }
@@ -148,18 +145,36 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
     };
 
 
-    this.encodeSuccess = function(parameters, status, resultType, component, cacheControl) {
+    this.encodeBody = function(parameters, resultType, component) {
+        switch (resultType) {
+            case 'text/html':
+                return bali.html(component, this.extractName(parameters), STYLE);
+            case 'application/json':
+                return JSON.stringify(JSONTranslator.exportComponent(component));
+            default:
+                return component.toString();
+        }
+    };
+
+
+    this.encodeSuccess = function(parameters, status, resultType, component, cacheControl, digest) {
         const response = {
             headers: {
             },
             statusCode: status
         };
         resultType = resultType || 'application/bali';
-        response.body = (resultType === 'text/html') ?
-            bali.html(component, this.extractName(parameters), STYLE) : component.toString();
-        response.headers['content-length'] = response.body.length;
-        response.headers['content-type'] = resultType;
+        if (component) {
+            response.body = this.encodeBody(parameters, resultType, component);
+            response.headers['content-length'] = response.body.length;
+            response.headers['content-type'] = resultType;
+        }
         response.headers['cache-control'] = cacheControl;
+        response.headers['vary'] = 'Accept';  // the body depends on the negotiated media type
+        if (digest) {
+            // the digest of an immutable resource never changes so it is a strong entity tag
+            response.headers['etag'] = '"' + generateTag(digest, resultType) + '"';
+        }
         return response;
     };
 
@@ -168,11 +183,13 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
      * This method enforces strict symantics on the five methods supported by all resources that
      * are managed by the Bali Nebula™ services.  For details on the symantics see this page:
      * https://github.com/craterdog-bali/js-bali-nebula-services/wiki/HTTP-Method-Semantics
+     * A public result (e.g. a listing of names) is available to every account regardless of
+     * the authority.
      */
-    this.encodeResponse = async function(parameters, authority, result, isMutable) {
+    this.encodeResponse = async function(parameters, authority, result, isMutable, isPublic) {
         const exists = !!result;
         const authenticated = isAuthenticated(parameters);
-        const authorized = await isAuthorized(parameters, authority);
+        const authorized = isPublic || await isAuthorized(parameters, authority);
         const method = parameters.method;
         const resultType = parameters.resultType || 'application/bali';
         const document = parameters.body;
@@ -188,13 +205,19 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
                 return error;
             }
             // Existing Public Resource
+            const cacheControl = isMutable ? 'no-store' : 'public, immutable';
+            const digest = isMutable ? undefined : await generateDigest(result);
+            if (isUnmodified(parameters, digest)) {
+                // the client already has the current version of the resource
+                return this.encodeSuccess(parameters, 304, resultType, undefined, cacheControl, digest);
+            }
             switch (method) {
                 case HEAD:
-                    const response = this.encodeSuccess(parameters, 200, resultType, result, 'public, immutable');
+                    const response = this.encodeSuccess(parameters, 200, resultType, result, cacheControl, digest);
                     response.body = undefined;
                     return response;
                 case GET:
-                    return this.encodeSuccess(parameters, 200, resultType, result, 'public, immutable');
+                    return this.encodeSuccess(parameters, 200, resultType, result, cacheControl, digest);
             }
         }
         if (!exists) {
@@ -215,6 +238,11 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
         }
         // Authenticated, Existing Resource, and Authorized
         const cacheControl = isMutable ? 'no-store' : 'private, immutable';
+        const digest = isMutable ? undefined : await generateDigest(result);
+        if ([HEAD, GET].includes(method) && isUnmodified(parameters, digest)) {
+            // the client already has the current version of the resource
+            return this.encodeSuccess(parameters, 304, resultType, undefined, cacheControl, digest);
+        }
         switch (method) {
             case PUT:
                 if (isMutable) {
@@ -226,11 +254,11 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
                 var response = this.encodeSuccess(parameters, 201, resultType, citation, 'no-store');
                 return response;
             case HEAD:
-                response = this.encodeSuccess(parameters, 200, resultType, result, cacheControl);
+                response = this.encodeSuccess(parameters, 200, resultType, result, cacheControl, digest);
                 response.body = undefined;
                 return response;
             case GET:
-                return this.encodeSuccess(parameters, 200, resultType, result, cacheControl);
+                return this.encodeSuccess(parameters, 200, resultType, result, cacheControl, digest);
             case DELETE:
                 return this.encodeSuccess(parameters, 200, resultType, result, 'no-store');
         }
@@ -239,6 +267,112 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
 
     // PRIVATE FUNCTIONS
 
+    const handleRequest = async function(request) {
+        var parameters;
+        try {
+            // extract the request parameters
+            parameters = decodeRequest(request);
+            if (this.debug > 2) console.log('Request: ' + bali.catalog(parameters));
+            if (!parameters) {
+                if (this.debug > 2) console.log('The service received a badly formed request.');
+                return this.encodeError(parameters, 400, 'application/bali', 'Bad Request');
+            }
+
+            // validate the request type
+            if (!handlers[parameters.type]) {
+                if (this.debug > 2) console.log('The service received an invalid request type: ' + parameters.type);
+                return this.encodeError(parameters, 400, parameters.resultType, 'Bad Request');
+            }
+
+            // validate the request method
+            if (!handlers[parameters.type][parameters.method]) {
+                if (this.debug > 2) console.log('The service received an invalid request method: ' + parameters.method);
+                return this.encodeError(parameters, 405, parameters.resultType, 'Method Not Allowed');
+            }
+
+            // validate any credentials that were passed with the request (there may not be any)
+            const reason = await checkCredentials(parameters);
+            if (reason === TOO_MANY_REQUESTS) {
+                if (this.debug > 2) console.log('Too many recently used credentials are being remembered for the account.');
+                return this.encodeError(parameters, 429, parameters.resultType, reason);
+            }
+            if (reason) {
+                if (this.debug > 2) console.log('Invalid credentials were passed with the request: ' + reason);
+                return this.encodeError(parameters, 401, parameters.resultType, reason);
+            }
+
+            // handle the request (must explicitly pass in 'this')
+            const response = await handlers[parameters.type][parameters.method].call(this, parameters);
+            if (this.debug > 2) console.log('Response: ' + bali.catalog(response));
+            return response;
+
+        } catch (cause) {
+            if (this.debug > 0) {
+                const exception = bali.exception({
+                    $module: '/bali/services/HTTPEngine',
+                    $procedure: '$processRequest',
+                    $exception: '$badRequest',
+                    $parameters: parameters,
+                    $text: 'The processing of the HTTP request failed.'
+                }, cause);
+                console.log('Response: 400 (Bad Request)');
+                console.log(exception.toString());
+            }
+            // the request may have failed before its parameters were decoded
+            const resultType = parameters ? parameters.resultType : 'application/bali';
+            return this.encodeError(parameters, 400, resultType, 'Bad Request');
+        }
+    };
+
+
+    /*
+     * This function answers an OPTIONS request, including a CORS preflight request, with the
+     * methods that are supported by the type of resource.
+     */
+    const encodeOptions = function(request) {
+        const type = request.path.split('/')[2];
+        const supported = handlers[type] ? Object.keys(handlers[type]) : methods;
+        return {
+            headers: {
+                'allow': supported.concat(OPTIONS).join(', '),
+                'content-length': 0,
+                'cache-control': 'no-store'
+            },
+            statusCode: 204
+        };
+    };
+
+
+    /*
+     * This function adds the CORS headers to the response if the request came from an origin
+     * that is allowed by the policy.  A browser blocks the response from reaching the client
+     * if the headers are missing.
+     */
+    const applyPolicy = function(request, response) {
+        const origin = request.headers['origin'] || request.headers['Origin'];
+        if (!origin) return response;  // not a cross-origin request
+        const headers = response.headers;
+        headers['vary'] = headers['vary'] ? headers['vary'] + ', Origin' : 'Origin';
+        if (origins.includes('*')) {
+            headers['access-control-allow-origin'] = '*';
+        } else if (origins.includes(origin)) {
+            headers['access-control-allow-origin'] = origin;
+        } else {
+            return response;  // the origin is not allowed
+        }
+        const method = request.httpMethod || request.method;
+        if (method === OPTIONS) {
+            // a preflight request
+            headers['access-control-allow-methods'] = methods.join(', ');
+            headers['access-control-allow-headers'] = ALLOWED_HEADERS.join(', ');
+            headers['access-control-max-age'] = maxAge;
+        } else {
+            headers['access-control-expose-headers'] = EXPOSED_HEADERS.join(', ');
+        }
+        return response;
+    };
+
+
     const decodeRequest = function(request) {
         const method = request.httpMethod || request.method;
         const path = request.path;
@@ -259,45 +393,140 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
             subdigest = bali.component("'" + subdigest + "'");
         }
 
-        var resultType = request.headers['accept'] || request.headers['Accept'];
-        if (resultType !== 'application/bali') resultType = 'text/html';  // for a browser
+        var match = request.headers['if-match'] || request.headers['If-Match'];
+        if (match && match !== '*') {  // '*' matches any existing resource
+            match = bali.component("'" + match.replace(/^W\//, '').replace(/"/g, '') + "'");
+        }
+
+
+        var none = request.headers['if-none-match'] || request.headers['If-None-Match'];
+        if (none) {
+            // a list of entity tags, weak comparison is used for conditional retrievals
+            none = none.split(',').map(function(tag) {
+                return tag.trim().replace(/^W\//, '').replace(/"/g, '');
+            });
+        }
+
+        var cursor = request.headers['nebula-cursor'] || request.headers['Nebula-Cursor'];
+        if (cursor) {
+            cursor = bali.component(cursor);
+        }
+
+        var size = request.headers['nebula-size'] || request.headers['Nebula-Size'];
+        if (size) {
+            size = Number(size);
+        }
+
+        var count = request.headers['nebula-count'] || request.headers['Nebula-Count'];
+        if (count) {
+            count = Math.min(Number(count), MAXIMUM_COUNT) || undefined;  // keep responses bounded
+        }
+
+        var wait = request.headers['nebula-wait'] || request.headers['Nebula-Wait'];
+        if (wait) {
+            wait = Math.min(Number(wait), MAXIMUM_WAIT) || undefined;  // don't hold requests forever
+        }
+
+        const accept = request.headers['accept'] || request.headers['Accept'] || '';
+        var resultType = 'text/html';  // for a browser
+        if (accept.includes('application/bali')) {
+            resultType = 'application/bali';
+        } else if (accept.includes('application/json')) {
+            resultType = 'application/json';
+        }
+
+        const contentType = request.headers['content-type'] || request.headers['Content-Type'] || '';
 
         const tokens = path.split('/');
         const service = tokens[1];
         const type = tokens[2];
         const resource = tokens.slice(3);
-        const body = (request.body && (request.body.constructor.name === 'String')) ? bali.component(request.body) : undefined;
+        var body;
+        if (request.body && request.body.constructor.name === 'String') {
+            body = contentType.includes('application/json') ?
+                JSONTranslator.importComponent(JSON.parse(request.body)) : bali.component(request.body);
+        }
 
         const parameters = {
             credentials: credentials,
             method: method,
+            path: path,
             resultType: resultType,
             service: service,
             type: type,
             resource: resource,
             digest: digest,
             subdigest: subdigest,
+            match: match,
+            none: none,
+            cursor: cursor,
+            size: size,
+            count: count,
+            wait: wait,
             body: body
         };
         return parameters;
     };
 
 
-    const validCredentials = async function(parameters) {
+    /*
+     * This function checks the credentials that were passed with the request.  The credentials
+     * must be a notarized document containing the HTTP method and path of the request and a
+     * unique salt.  Credentials that are too old or have already been used are rejected so that
+     * a captured header cannot be replayed.  The reason that the credentials were rejected is
+     * returned, or nothing if no credentials were passed or they are valid.  If too many unexpired
+     * credentials are being remembered for an account, its requests are refused until some of
+     * them expire.
+     */
+    const checkCredentials = async function(parameters) {
         const credentials = parameters.credentials;
-        if (credentials) {
-            if (credentials.isType('/bali/collections/Catalog')) {
-                const citation = credentials.getAttribute('$certificate');
-                // if the certificate doesn't yet exist, there is a self-signed certificate in the body
-                var certificate = (await storage.readContract(citation)) || parameters.body;
-                if (await notary.validContract(credentials, certificate)) {
-                    parameters.account = certificate.getAttribute('$account');
-                    return true;  // the credentials are valid
-                }
-            }
-            return false;  // the credentials are invalid
+        if (!credentials) return;  // no credentials were passed in, proceed anonymously
+        if (!credentials.isType('/bali/collections/Catalog')) return 'Invalid Credentials';
+
+        // make sure the credentials were notarized by the account
+        const citation = credentials.getAttribute('$certificate');
+        // if the certificate doesn't yet exist, there is a self-signed certificate in the body
+        var certificate = (await storage.readContract(citation)) || parameters.body;
+        if (!(await notary.validContract(credentials, certificate))) return 'Invalid Credentials';
+
+        // make sure the credentials are recent
+        const now = Date.now();
+        var timestamp = credentials.getAttribute('$timestamp');
+        if (!timestamp || !timestamp.isType('/bali/elements/Moment')) return 'Invalid Credentials';
+        timestamp = timestamp.getValue();
+        if (Math.abs(now - timestamp) > CREDENTIALS_WINDOW) return 'Expired Credentials';
+
+        // make sure the credentials were generated for this request
+        const document = credentials.getAttribute('$document');
+        const method = document.getAttribute('$method');
+        const path = document.getAttribute('$path');
+        if (!method || method.getValue() !== parameters.method) return 'Misdirected Credentials';
+        if (!path || path.getValue() !== parameters.path) return 'Misdirected Credentials';
+
+        // make sure the credentials have not been used before
+        var salt = document.getAttribute('$salt');
+        if (!salt) return 'Invalid Credentials';
+        salt = salt.toString();
+        for (const [nonce, entry] of nonces) {
+            // the nonces are in the order they can be forgotten so stop at the first one still needed
+            if (entry.expires > now) break;
+            nonces.delete(nonce);
+            const count = counts.get(entry.account) - 1;
+            if (count > 0) counts.set(entry.account, count); else counts.delete(entry.account);
         }
-        return true;  // no credentials were passed in, proceed anonymously
+        if (nonces.has(salt)) return 'Reused Credentials';
+        const account = certificate.getAttribute('$account');
+        const count = counts.get(account.toString()) || 0;
+        if (count >= maxNonces) return TOO_MANY_REQUESTS;  // forgetting a nonce allows a replay
+        nonces.set(salt, {
+            account: account.toString(),
+            // the credentials cannot be used once their timestamp is a window behind the clock,
+            // and it was at most a window ahead of the clock when they were first used
+            expires: now + 2 * CREDENTIALS_WINDOW
+        });
+        counts.set(account.toString(), count + 1);
+
+        parameters.account = account;
     };
 
 
@@ -324,15 +553,95 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
             const document = authority.getAttribute('$document');
             if (document) authority = document;
             const permissions = authority.getParameter('$permissions');
+            if (!permissions) return false;  // no permissions were specified
             if (permissions.toString() === '/nebula/permissions/public/v1') {
                 return true;  // publicly available
             }
-            // TODO: load in the real permissions and check them
+            return await isPermitted(parameters, permissions);
         }
         return false;  // otherwise the account is not authorized to perform the request
     };
 
 
+    /*
+     * This function checks the named permissions contract to see whether or not the account
+     * making the request has been granted access to the requested method on the requested
+     * type of resource. A permissions document maps each resource type to the methods that
+     * are permitted on it, and each method to a list of the account tags and the names of
+     * group contracts that are permitted to use it. For example:
+     * <pre>
+     * [
+     *     $documents: [
+     *         $GET: [#BXC15F9H0V4AJVTHJHN1B6VA8PZP4S51, /acme/groups/accounting/v1]
+     *         $PUT: [#BXC15F9H0V4AJVTHJHN1B6VA8PZP4S51]
+     *     ]
+     *     $messages: [
+     *         $DELETE: [/acme/groups/accounting/v1]
+     *     ]
+     * ]
+     * </pre>
+     * A group document contains an <code>$accounts</code> attribute listing the account tags
+     * of its members.  An account that is permitted to GET a resource may also HEAD it.
+     */
+    const isPermitted = async function(parameters, permissions) {
+        if (!parameters.account) return false;  // anonymous requests are never granted permissions
+        const grants = await readNamedDocument(permissions);
+        const methods = grants && grants.getAttribute('$' + parameters.type);
+        if (!methods) return false;  // no methods have been granted on the type of resource
+        if (await isGranted(parameters, methods.getAttribute('$' + parameters.method))) return true;
+        // a HEAD request only differs from a GET request by not returning the body
+        return parameters.method === HEAD && await isGranted(parameters, methods.getAttribute('$' + GET));
+    };
+
+
+    const isGranted = async function(parameters, principals) {
+        if (!principals) return false;  // the method has not been granted to anyone
+        const iterator = principals.getIterator();
+        while (iterator.hasNext()) {
+            const principal = iterator.getNext();
+            if (principal.isType('/bali/elements/Tag')) {
+                if (bali.areEqual(principal, parameters.account)) return true;  // a permitted account
+            } else if (principal.isType('/bali/strings/Name')) {
+                const group = await readNamedDocument(principal);
+                const accounts = group && group.getAttribute('$accounts');
+                if (accounts && accounts.containsItem(parameters.account)) return true;  // a permitted group
+            }
+        }
+        return false;  // the account has not been granted the method
+    };
+
+
+    const readNamedDocument = async function(name) {
+        const citation = await storage.readName(name);
+        if (citation) {
+            const contract = await storage.readContract(citation);
+            if (contract) return contract.getAttribute('$document');
+        }
+    };
+
+
+    const generateDigest = async function(result) {
+        // the entity tags for an immutable resource are based on the digest from its citation
+        if (!result.isComponent || !result.isType('/bali/collections/Catalog')) return;
+        const citation = await citeComponent(result);
+        return citation.getAttribute('$digest').toString().slice(1, -1).replace(/\s+/g, '');
+    };
+
+
+    const generateTag = function(digest, resultType) {
+        // each representation of the resource needs its own entity tag (e.g. '<digest>-json')
+        return digest + '-' + resultType.split('/')[1];
+    };
+
+
+    const isUnmodified = function(parameters, digest) {
+        const none = parameters.none;
+        if (!none || !digest) return false;
+        const tag = generateTag(digest, parameters.resultType || 'application/bali');
+        return none.includes('*') || none.includes(tag);
+    };
+
+
     const citeComponent = async function(component) {
         const document = component.getAttribute('$document');
         if (document) {
@@ -350,3 +659,45 @@ const HTTPEngine = function(notary, storage, handlers, debug) {
 };
 HTTPEngine.prototype.constructor = HTTPEngine;
 exports.HTTPEngine = HTTPEngine;
+
+
+// PRIVATE CONSTANTS
+
+// the number of milliseconds that credentials remain valid (allowing for clock skew)
+const CREDENTIALS_WINDOW = 5 * 60 * 1000;
+
+// the default maximum number of recently used credentials that are remembered for each account
+const MAXIMUM_NONCES = 10000;
+
+// the reason given when no more recently used credentials can be remembered for an account
+const TOO_MANY_REQUESTS = 'Too Many Requests';
+
+// the maximum number of messages that may be borrowed in a single request
+const MAXIMUM_COUNT = 100;
+
+// the maximum number of seconds that a request for a message may be held
+const MAXIMUM_WAIT = 20;
+
+// the default number of seconds that a CORS preflight response may be cached
+const MAX_AGE = 600;
+
+// the request headers that a cross-origin client may send
+const ALLOWED_HEADERS = [
+    'accept',
+    'content-type',
+    'if-match',
+    'if-none-match',
+    'nebula-credentials',
+    'nebula-digest',
+    'nebula-subdigest',
+    'nebula-cursor',
+    'nebula-size',
+    'nebula-count',
+    'nebula-wait'
+];
+
+// the response headers that a cross-origin client may read
+const EXPOSED_HEADERS = [
+    'etag',
+    'www-authenticate'
+];
@@ -0,0 +1,107 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module translates Bali components to and from JSON so that clients that don't speak
+ * Bali Document Notation™ can use the web services.  The translation uses these rules:
+ * <pre>
+ *   catalogs: JSON objects whose keys are the attribute keys (e.g. "$tag"), any parameters
+ *             are in a "$parameters" object
+ *   lists and sets: JSON arrays
+ *   texts: JSON strings
+ *   real numbers without units: JSON numbers
+ *   booleans: JSON booleans
+ *   none: JSON null
+ *   all other components: JSON objects with a single "@bali" key whose value is their Bali
+ *                         source (e.g. {"@bali": "#BRQ2..."}, {"@bali": "v1"})
+ * </pre>
+ * Since a catalog key is always a symbol, the "@bali" key cannot be confused with a catalog, and
+ * every JSON string translates back into a text, even one like "true", "42" or "v1".
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function translates a Bali component into its equivalent JSON value.
+ *
+ * @param {Component} component The component to be translated.
+ * @returns {Object} The equivalent JSON value.
+ */
+const exportComponent = function(component) {
+    if (component.isType('/bali/collections/Catalog')) {
+        const object = {};
+        const iterator = component.getIterator();
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            object[association.getKey().toString()] = exportComponent(association.getValue());
+        }
+        const parameters = component.getParameters();
+        if (parameters) object.$parameters = exportComponent(parameters);
+        return object;
+    }
+    if (component.isType('/bali/collections/List') || component.isType('/bali/collections/Set')) {
+        return component.toArray().map(exportComponent);
+    }
+    if (component.isType('/bali/strings/Text')) {
+        return component.getValue();
+    }
+    if (component.isType('/bali/elements/Number') && !component.isParameterized()) {
+        const value = component.getValue();
+        if (value[1] === 0 && isFinite(value[0])) return value[0];  // a real number
+    }
+    if (component.isType('/bali/elements/Boolean')) {
+        return component.getValue();
+    }
+    if (component.isType('/bali/elements/Pattern') && component.toString() === 'none') {
+        return null;
+    }
+    return {'@bali': component.toString()};
+};
+exports.exportComponent = exportComponent;
+
+/**
+ * This function translates a JSON value into its equivalent Bali component.
+ *
+ * @param {Object} value The JSON value to be translated.
+ * @returns {Component} The equivalent component.
+ */
+const importComponent = function(value) {
+    if (value === null || value === undefined) {
+        return bali.pattern.NONE;
+    }
+    if (Array.isArray(value)) {
+        return bali.list(value.map(importComponent));
+    }
+    switch (typeof value) {
+        case 'object':
+            if (Object.keys(value).length === 1 && typeof value['@bali'] === 'string') {
+                return bali.component(value['@bali']);  // the source for an element
+            }
+            const catalog = bali.catalog();
+            Object.keys(value).forEach(function(key) {
+                if (key === '$parameters') return;
+                const symbol = key.startsWith('$') ? key : '$' + key;
+                catalog.setAttribute(symbol, importComponent(value[key]));
+            });
+            if (value.$parameters) catalog.setParameters(importComponent(value.$parameters));
+            return catalog;
+        case 'number':
+            return bali.number(value);
+        case 'boolean':
+            return bali.component(value.toString());
+        default:
+            return bali.text(value.toString());
+    }
+};
+exports.importComponent = importComponent;
+
@@ -0,0 +1,35 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module handles the optional options argument that precedes the debug argument of the
+ * constructors and functions that originally only took a debug argument.
+ */
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function supports both the original signature, whose last argument is the debug level
+ * (e.g. <code>WebEngine(notary, storage, debug)</code>), and the current signature with an
+ * options argument before the debug level.  A missing or <code>null</code> options argument
+ * results in an empty options object.
+ *
+ * @param {Object} options The options argument, or the debug level for the original signature.
+ * @param {Number} debug The debug level for the current signature.
+ * @returns {Array} An array containing the options object and the debug level.
+ */
+const shiftOptions = function(options, debug) {
+    if (options === undefined || options === null) return [{}, debug];
+    if (typeof options !== 'object') return [{}, options];  // the original signature
+    return [options, debug];
+};
+exports.shiftOptions = shiftOptions;
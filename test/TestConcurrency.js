@@ -0,0 +1,117 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // [0..3]
+const bali = require('bali-component-framework').api(debug);
+const directory = 'test/config/concurrency/';
+const Storage = require('../');
+
+if (require.main === module) {
+
+    // this module was forked as a worker process that removes messages until the bag is empty
+    const notary = require('bali-digital-notary').test(bali.tag(), directory + 'worker/', debug);
+    const storage = Storage.local(notary, directory, debug);
+    const bag = bali.component(process.argv[2]);
+    const worker = async function() {
+        const counts = [];
+        while (await storage.messageAvailable(bag)) {
+            const message = await storage.removeMessage(bag);
+            if (!message) continue;  // another worker got there first
+            counts.push(message.getAttribute('$count').getMagnitude());
+            await storage.deleteMessage(bag, await notary.citeDocument(message));
+        }
+        return counts;
+    };
+    worker().then(function(counts) {
+        process.send({counts: counts}, function() {
+            process.exit(0);
+        });
+    }).catch(function(cause) {
+        console.error(cause.toString());
+        process.exit(1);
+    });
+
+} else {
+
+    const mocha = require('mocha');
+    const chai = require('chai');
+    const expect = chai.expect;
+    const fork = require('child_process').fork;
+    require('fs').mkdirSync(directory + 'worker/', {recursive: true});  // the notaries only create their own directories
+    const notary = require('bali-digital-notary').test(bali.tag(), directory + 'owner/', debug);
+    const storage = Storage.local(notary, directory, debug);
+    const workers = 4;
+    const messages = 40;
+
+    const startWorker = function(bag) {
+        return new Promise(function(resolve, reject) {
+            var counts;
+            const child = fork(__filename, [bag.toString()], {stdio: 'inherit'});
+            child.on('message', function(result) {
+                counts = result.counts;
+            });
+            child.on('error', reject);
+            child.on('exit', function(code) {
+                if (code === 0 && counts) resolve(counts);
+                else reject(new Error('The worker process failed with exit code: ' + code));
+            });
+        });
+    };
+
+    describe('Bali Document Repository™', function() {
+
+        describe('Test Concurrent Local Storage', function() {
+
+            it('should create a self-signed certificate', async function() {
+                const publicKey = await notary.generateKey();
+                const certificate = await notary.notarizeDocument(publicKey);
+                const citation = await notary.activateKey(certificate);
+                expect(bali.areEqual(citation, await storage.writeContract(certificate))).is.true;
+            });
+
+            it('should deliver each message to exactly one worker process', async function() {
+                // create a bag containing a batch of messages
+                const contract = await notary.notarizeDocument(bali.instance('/nebula/examples/Bag/v1', {
+                    $description: '"This is an example bag."'
+                }, debug));
+                const bag = await storage.writeContract(contract);
+                for (var count = 1; count <= messages; count++) {
+                    await storage.addMessage(bag, bali.instance('/nebula/examples/Message/v1', {
+                        $description: '"This is an example message."',
+                        $count: count
+                    }, debug));
+                }
+                expect(await storage.messageCount(bag)).to.equal(messages);
+
+                // have several worker processes drain the bag at the same time
+                const processes = [];
+                for (var i = 0; i < workers; i++) {
+                    processes.push(startWorker(bag));
+                }
+                const results = await Promise.all(processes);
+
+                // make sure that every message was delivered exactly once
+                const counts = results.flat().sort(function(first, second) {
+                    return first - second;
+                });
+                expect(counts.length).to.equal(messages);
+                expect(new Set(counts).size).to.equal(messages);
+                expect(await storage.messageAvailable(bag)).is.false;
+            });
+
+            it('should reset the notary', async function() {
+                await notary.forgetKey();
+            });
+
+        });
+
+    });
+
+}
@@ -0,0 +1,590 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const directory = 'test/config/engine/';
+require('fs').mkdirSync(directory, {recursive: true});  // the notaries only create their own directories
+const owner = require('bali-digital-notary').test(bali.tag(), directory + 'owner/', debug);
+const member = require('bali-digital-notary').test(bali.tag(), directory + 'member/', debug);
+const stranger = require('bali-digital-notary').test(bali.tag(), directory + 'stranger/', debug);
+const Repository = require('../');
+const JSONTranslator = require('../src/utilities/JSONTranslator');
+const storage = Repository.memory(owner, debug);
+const engine = Repository.web(owner, storage, debug);
+const explorer = Repository.html(owner, storage, debug);
+
+const generateCredentials = async function(notary, method, path) {
+    const decoder = bali.decoder(0, debug);
+    const credentials = (await notary.notarizeDocument(bali.instance('/nebula/notary/Credentials/v1', {
+        $salt: bali.tag(),
+        $method: bali.text(method),
+        $path: bali.text(path)
+    }, debug))).toString();
+    return decoder.base32Encode(Buffer.from(credentials, 'utf8')).replace(/\s+/g, '');
+};
+
+const generateDigest = function(citation) {
+    return citation.getAttribute('$digest').toString().slice(1, -1).replace(/\s+/g, '');
+};
+
+const generatePath = function(type, citation) {
+    const tag = citation.getAttribute('$tag').toString().slice(1);  // remove the leading '#'
+    return '/repository/' + type + '/' + tag + '/' + citation.getAttribute('$version');
+};
+
+const browseRequest = async function(notary, path, digest) {
+    const request = {
+        method: 'GET',
+        path: path,
+        headers: {
+            'accept': 'text/html,application/xhtml+xml'
+        }
+    };
+    if (notary) request.headers['nebula-credentials'] = await generateCredentials(notary, 'GET', path);
+    if (digest) request.headers['nebula-digest'] = digest;
+    return await explorer.processRequest(request);
+};
+
+const sendRequest = async function(notary, method, path, digest, body) {
+    const request = {
+        method: method,
+        path: path,
+        headers: {
+            'accept': 'application/bali'
+        },
+        body: body ? body.toString() : undefined
+    };
+    if (notary) request.headers['nebula-credentials'] = await generateCredentials(notary, method, path);
+    if (digest) request.headers['nebula-digest'] = digest;
+    return await engine.processRequest(request);
+};
+
+
+describe('Bali Document Repository™', function() {
+
+    describe('Test Web Engine', function() {
+
+        it('should create the self-signed certificates', async function() {
+            const notaries = [owner, member, stranger];
+            for (var i = 0; i < notaries.length; i++) {
+                const notary = notaries[i];
+                const publicKey = await notary.generateKey();
+                const certificate = await notary.notarizeDocument(publicKey);
+                const citation = await notary.activateKey(certificate);
+                expect(bali.areEqual(citation, await storage.writeContract(certificate))).is.true;
+            }
+        });
+
+        it('should enforce the permissions on documents and bags', async function() {
+            // create a group containing the member account
+            const group = bali.name(['acme', 'groups', 'team', 'v1']);
+            var contract = await owner.notarizeDocument(bali.instance('/nebula/permissions/Group/v1', {
+                $accounts: [member.getAccount()]
+            }, debug));
+            await storage.writeName(group, await storage.writeContract(contract));
+
+            // create the permissions granting access to the member account and group
+            const permissions = bali.name(['acme', 'permissions', 'team', 'v1']);
+            contract = await owner.notarizeDocument(bali.instance('/nebula/permissions/Permissions/v1', {
+                $documents: {
+                    $GET: [member.getAccount()]
+                },
+                $messages: {
+                    $GET: [group]
+                }
+            }, debug));
+            await storage.writeName(permissions, await storage.writeContract(contract));
+
+            // save a draft document that is shared with the member account
+            const document = bali.instance('/nebula/examples/Draft/v1', {
+                $foo: 'bar'
+            }, debug);
+            document.setParameter('$permissions', permissions);
+            const citation = await storage.writeDocument(document);
+            const path = generatePath('documents', citation);
+            const digest = generateDigest(citation);
+            expect((await sendRequest(member, 'GET', path, digest)).statusCode).to.equal(200);
+            expect((await sendRequest(member, 'HEAD', path, digest)).statusCode).to.equal(200);
+            expect((await sendRequest(member, 'DELETE', path, digest)).statusCode).to.equal(403);
+            expect((await sendRequest(stranger, 'GET', path, digest)).statusCode).to.equal(403);
+            expect((await sendRequest(stranger, 'HEAD', path, digest)).statusCode).to.equal(403);
+            expect((await sendRequest(undefined, 'GET', path, digest)).statusCode).to.equal(401);
+
+            // create a bag that is shared with the group
+            const bagDocument = bali.instance('/nebula/repositories/Bag/v1', {
+                $capacity: 10,
+                $lease: 60
+            }, debug);
+            bagDocument.setParameter('$permissions', permissions);
+            const bag = await storage.writeContract(await owner.notarizeDocument(bagDocument));
+            const bagPath = generatePath('messages', bag);
+            const bagDigest = generateDigest(bag);
+            expect((await sendRequest(owner, 'GET', bagPath, bagDigest)).statusCode).to.equal(200);
+            expect((await sendRequest(member, 'GET', bagPath, bagDigest)).statusCode).to.equal(200);
+            expect((await sendRequest(member, 'HEAD', bagPath, bagDigest)).statusCode).to.equal(404);  // permitted but empty
+            expect((await sendRequest(member, 'DELETE', bagPath, bagDigest)).statusCode).to.equal(403);
+            expect((await sendRequest(stranger, 'GET', bagPath, bagDigest)).statusCode).to.equal(403);
+        });
+
+        it('should hold a request until a message arrives', async function() {
+            const bag = await storage.writeContract(await owner.notarizeDocument(bali.instance('/nebula/repositories/Bag/v1', {
+                $capacity: 10,
+                $lease: 60
+            }, debug)));
+            const path = generatePath('messages', bag);
+            const request = {
+                method: 'DELETE',
+                path: path,
+                headers: {
+                    'accept': 'application/bali',
+                    'nebula-credentials': await generateCredentials(owner, 'DELETE', path),
+                    'nebula-digest': generateDigest(bag),
+                    'nebula-wait': '5'
+                }
+            };
+            setTimeout(function() {
+                storage.addMessage(bag, bali.instance('/nebula/examples/Message/v1', {
+                    $description: '"This is an example message."'
+                }, debug));
+            }, 200);
+            const response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            expect(bali.component(response.body).getAttribute('$description')).to.exist;
+        });
+
+        it('should borrow a batch of messages in a single request', async function() {
+            const bag = await storage.writeContract(await owner.notarizeDocument(bali.instance('/nebula/repositories/Bag/v1', {
+                $capacity: 10,
+                $lease: 60
+            }, debug)));
+            for (var count = 1; count <= 3; count++) {
+                await storage.addMessage(bag, bali.instance('/nebula/examples/Message/v1', {
+                    $count: count
+                }, debug));
+            }
+            const path = generatePath('messages', bag);
+            const request = {
+                method: 'DELETE',
+                path: path,
+                headers: {
+                    'accept': 'application/bali',
+                    'nebula-credentials': await generateCredentials(owner, 'DELETE', path),
+                    'nebula-digest': generateDigest(bag),
+                    'nebula-count': '2'
+                }
+            };
+            var response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            expect(bali.component(response.body).getSize()).to.equal(2);
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'DELETE', path);
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            expect(bali.component(response.body).getSize()).to.equal(1);
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'DELETE', path);
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(404);
+        });
+
+        it('should reject replayed and misdirected credentials', async function() {
+            const certificate = await owner.getCitation();
+            const path = generatePath('contracts', certificate);
+            const digest = generateDigest(certificate);
+            const request = {
+                method: 'GET',
+                path: path,
+                headers: {
+                    'accept': 'application/bali',
+                    'nebula-credentials': await generateCredentials(owner, 'GET', path),
+                    'nebula-digest': digest
+                }
+            };
+            expect((await engine.processRequest(request)).statusCode).to.equal(200);
+
+            // replay the same request
+            var response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(401);
+            expect(response.body).to.contain('Reused Credentials');
+
+            // use the credentials for a different request
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'GET', path);
+            request.method = 'HEAD';
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(401);
+        });
+
+        it('should reject incomplete credentials', async function() {
+            const certificate = await owner.getCitation();
+            const path = generatePath('contracts', certificate);
+            const decoder = bali.decoder(0, debug);
+            const credentials = (await owner.notarizeDocument(bali.instance('/nebula/notary/Credentials/v1', {
+                $method: bali.text('GET'),
+                $path: bali.text(path)
+            }, debug))).toString();
+            const request = {
+                method: 'GET',
+                path: path,
+                headers: {
+                    'accept': 'application/bali',
+                    'nebula-credentials': decoder.base32Encode(Buffer.from(credentials, 'utf8')).replace(/\s+/g, ''),
+                    'nebula-digest': generateDigest(certificate)
+                }
+            };
+            const response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(401);
+            expect(response.body).to.contain('Invalid Credentials');
+        });
+
+        it('should limit the unexpired credentials remembered for each account', async function() {
+            const limited = Repository.web(owner, storage, {maxNonces: 2}, debug);
+            const certificate = await owner.getCitation();
+            const path = generatePath('contracts', certificate);
+            const request = {
+                method: 'GET',
+                path: path,
+                headers: {
+                    'accept': 'application/bali',
+                    'nebula-digest': generateDigest(certificate)
+                }
+            };
+            for (var i = 0; i < 2; i++) {
+                request.headers['nebula-credentials'] = await generateCredentials(owner, 'GET', path);
+                expect((await limited.processRequest(request)).statusCode).to.equal(200);
+            }
+
+            // the service cannot remember any more credentials for the account until some of them expire
+            const remembered = request.headers['nebula-credentials'];
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'GET', path);
+            var response = await limited.processRequest(request);
+            expect(response.statusCode).to.equal(429);
+
+            // other accounts are not affected
+            request.headers['nebula-credentials'] = await generateCredentials(member, 'GET', path);
+            response = await limited.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+
+            // the remembered credentials still cannot be replayed
+            request.headers['nebula-credentials'] = remembered;
+            response = await limited.processRequest(request);
+            expect(response.statusCode).to.equal(401);
+            expect(response.body).to.contain('Reused Credentials');
+        });
+
+        it('should negotiate JSON requests and responses', async function() {
+            // save a draft document using a JSON request body
+            const document = bali.instance('/nebula/examples/Draft/v1', {
+                $product: 'Snickers Bar',
+                $quantity: 10,
+                $price: '1.25($currency: $USD)',
+                $available: true,
+                $tags: ['#ABCD', 'v1.2']
+            }, debug);
+            const citation = await owner.citeDocument(document);
+            const path = generatePath('documents', citation);
+            const request = {
+                method: 'PUT',
+                path: path,
+                headers: {
+                    'accept': 'application/json',
+                    'content-type': 'application/json',
+                    'nebula-credentials': await generateCredentials(owner, 'PUT', path),
+                    'nebula-digest': generateDigest(citation)
+                },
+                body: JSON.stringify(JSONTranslator.exportComponent(document))
+            };
+            expect((await engine.processRequest(request)).statusCode).to.equal(201);
+            expect(bali.areEqual(document, await storage.readDocument(citation))).is.true;
+
+            // retrieve the draft document as JSON
+            request.method = 'GET';
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'GET', path);
+            delete request.body;
+            var response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('application/json');
+            const object = JSON.parse(response.body);
+            expect(object.$product).to.equal('Snickers Bar');
+            expect(object.$quantity).to.equal(10);
+            expect(object.$available).to.equal(true);
+            expect(object.$price).to.eql({'@bali': '1.25($currency: $USD)'});
+            expect(object.$tags).to.eql([{'@bali': '#ABCD'}, {'@bali': 'v1.2'}]);
+            expect(object.$parameters.$type).to.eql({'@bali': '/nebula/examples/Draft/v1'});
+
+            // errors are returned as JSON as well
+            response = await engine.processRequest(request);  // replays the credentials
+            expect(response.statusCode).to.equal(401);
+            expect(JSON.parse(response.body).$status).to.equal(401);
+            expect(JSON.parse(response.body).$text).to.equal('Reused Credentials');
+        });
+
+        it('should only update an existing document when any version must match', async function() {
+            const document = bali.instance('/nebula/examples/Draft/v1', {
+                $product: 'Twix Bar'
+            }, debug);
+            const citation = await owner.citeDocument(document);
+            const path = generatePath('documents', citation);
+            const request = {
+                method: 'PUT',
+                path: path,
+                headers: {
+                    'accept': 'application/bali',
+                    'content-type': 'application/bali',
+                    'if-match': '*',
+                    'nebula-credentials': await generateCredentials(owner, 'PUT', path),
+                    'nebula-digest': generateDigest(citation)
+                },
+                body: document.toString()
+            };
+            var response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(412);
+            expect(await storage.readDocument(citation)).to.not.exist;
+
+            // create the document and then update it
+            await storage.writeDocument(document);
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'PUT', path);
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            await storage.deleteDocument(citation);
+        });
+
+        it('should translate texts that look like elements', function() {
+            const catalog = bali.catalog({
+                $boolean: bali.text('true'),
+                $number: bali.text('42'),
+                $version: bali.text('v1'),
+                $pattern: bali.text('none'),
+                $elements: bali.list([true, 42, bali.component('v1'), bali.pattern.NONE])
+            });
+            const object = JSON.parse(JSON.stringify(JSONTranslator.exportComponent(catalog)));
+            expect(object.$boolean).to.equal('true');
+            expect(object.$version).to.equal('v1');
+            expect(object.$elements).to.eql([true, 42, {'@bali': 'v1'}, null]);
+            expect(bali.areEqual(catalog, JSONTranslator.importComponent(object))).is.true;
+        });
+
+        it('should reject a malformed JSON request body', async function() {
+            const document = bali.instance('/nebula/examples/Draft/v1', {
+                $quantity: 10
+            }, debug);
+            const citation = await owner.citeDocument(document);
+            const path = generatePath('documents', citation);
+            const request = {
+                method: 'PUT',
+                path: path,
+                headers: {
+                    'accept': 'application/json',
+                    'content-type': 'application/json',
+                    'nebula-credentials': await generateCredentials(owner, 'PUT', path),
+                    'nebula-digest': generateDigest(citation)
+                },
+                body: '{"$quantity": 10'
+            };
+            const response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(400);
+            expect(response.body).to.contain('Bad Request');
+        });
+
+        it('should answer conditional requests for immutable resources', async function() {
+            const certificate = await owner.getCitation();
+            const path = generatePath('contracts', certificate);
+            const digest = generateDigest(certificate);
+            var response = await sendRequest(owner, 'GET', path, digest);
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['etag']).to.equal('"' + digest + '-bali"');
+
+            // the contract has not been modified
+            const request = {
+                method: 'GET',
+                path: path,
+                headers: {
+                    'accept': 'application/bali',
+                    'if-none-match': 'W/"' + bali.tag().toString().slice(1) + '", "' + digest + '-bali"',
+                    'nebula-digest': digest
+                }
+            };
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(304);
+            expect(response.headers['etag']).to.equal('"' + digest + '-bali"');
+            expect(response.headers['vary']).to.equal('Accept');
+            expect(response.body).to.not.exist;
+
+            // the JSON representation of the contract has its own entity tag
+            request.headers['accept'] = 'application/json';
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['etag']).to.equal('"' + digest + '-json"');
+            expect(response.headers['vary']).to.equal('Accept');
+            request.headers['accept'] = 'application/bali';
+
+            // a different version of the contract is requested
+            request.headers['if-none-match'] = '"' + bali.tag().toString().slice(1) + '"';
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.exist;
+
+            // mutable resources are not tagged
+            const bag = await storage.writeContract(await owner.notarizeDocument(bali.instance('/nebula/repositories/Bag/v1', {
+                $capacity: 10,
+                $lease: 60
+            }, debug)));
+            response = await sendRequest(owner, 'GET', generatePath('messages', bag), generateDigest(bag));
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['etag']).to.not.exist;
+        });
+
+        it('should enforce the cross-origin resource sharing policy', async function() {
+            const options = {origins: ['https://app.example.com'], methods: ['HEAD', 'GET']};
+            const shared = Repository.web(owner, storage, options, debug);
+            const certificate = await owner.getCitation();
+            const path = generatePath('contracts', certificate);
+
+            // answer a preflight request from an allowed origin
+            const request = {
+                method: 'OPTIONS',
+                path: path,
+                headers: {
+                    'origin': 'https://app.example.com',
+                    'access-control-request-method': 'GET',
+                    'access-control-request-headers': 'nebula-credentials, nebula-digest'
+                }
+            };
+            var response = await shared.processRequest(request);
+            expect(response.statusCode).to.equal(204);
+            expect(response.headers['allow']).to.equal('HEAD, GET, PUT, OPTIONS');
+            expect(response.headers['access-control-allow-origin']).to.equal('https://app.example.com');
+            expect(response.headers['access-control-allow-methods']).to.equal('HEAD, GET');
+            expect(response.headers['access-control-allow-headers']).to.contain('nebula-credentials');
+            expect(response.headers['access-control-allow-headers']).to.contain('nebula-subdigest');
+            expect(response.headers['access-control-max-age']).to.equal(600);
+
+            // answer the actual request
+            request.method = 'GET';
+            request.headers['accept'] = 'application/bali';
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'GET', path);
+            request.headers['nebula-digest'] = generateDigest(certificate);
+            response = await shared.processRequest(request);
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['access-control-allow-origin']).to.equal('https://app.example.com');
+            expect(response.headers['access-control-expose-headers']).to.contain('etag');
+            expect(response.headers['vary']).to.equal('Accept, Origin');
+
+            // ignore other origins
+            request.headers['origin'] = 'https://evil.example.com';
+            request.headers['nebula-credentials'] = await generateCredentials(owner, 'GET', path);
+            response = await shared.processRequest(request);
+            expect(response.headers['access-control-allow-origin']).to.not.exist;
+
+            // the default policy only allows requests from the same origin
+            request.method = 'OPTIONS';
+            request.headers['origin'] = 'https://app.example.com';
+            response = await engine.processRequest(request);
+            expect(response.statusCode).to.equal(204);
+            expect(response.headers['access-control-allow-origin']).to.not.exist;
+        });
+
+        it('should render a browsable repository explorer', async function() {
+            // name two versions of a public contract
+            const certificate = await owner.getCitation();
+            const document = bali.instance('/nebula/examples/Bulletin/v1', {
+                $message: '"Hello World!"'
+            }, debug);
+            document.setParameter('$permissions', '/nebula/permissions/public/v1');
+            const previous = await storage.writeContract(await owner.notarizeDocument(document));
+            await storage.writeName(bali.component('/acme/bulletins/hello/v1'), previous);
+            const draft = bali.duplicate(document);
+            draft.setParameter('$version', 'v2');
+            draft.setParameter('$previous', previous);
+            const citation = await storage.writeContract(await owner.notarizeDocument(draft));
+            await storage.writeName(bali.component('/acme/bulletins/hello/v2'), citation);
+
+            // browse the namespaces
+            var response = await browseRequest(undefined, '/repository/names/acme/');
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('text/html');
+            expect(response.body).to.contain('href="/repository/names/acme/bulletins/"');
+            expect(response.body).to.not.contain('href="/repository/names/acme/bulletins/hello/v1"');
+            response = await browseRequest(undefined, '/repository/names/acme/bulletins/hello/');
+            expect(response.body).to.contain('href="/repository/names/acme/bulletins/"');
+            expect(response.body).to.contain('href="/repository/names/acme/bulletins/hello/v1"');
+            expect(response.body).to.contain('href="/repository/names/acme/bulletins/hello/v2"');
+
+            // answer for the listings rather than for names matching their prefixes
+            const listing = {
+                method: 'HEAD',
+                path: '/repository/names/acme/bulletins/hello/',
+                headers: {
+                    'accept': 'text/html'
+                }
+            };
+            response = await explorer.processRequest(listing);
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.not.exist;
+            listing.headers['accept'] = 'application/bali';
+            response = await engine.processRequest(listing);
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.not.exist;
+
+            // browse the named contract and its citations
+            response = await browseRequest(undefined, '/repository/names/acme/bulletins/hello/v2');
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.contain('Signature Verified');
+            expect(response.body).to.contain('href="' + generatePath('contracts', certificate) + '"');
+            expect(response.body).to.contain('href="' + generatePath('contracts', previous) + '"');
+            expect(response.body).to.not.contain('https://bali-nebula.net/repository/names');
+            response = await browseRequest(undefined, generatePath('contracts', previous), generateDigest(previous));
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.contain('Signature Verified');
+            expect(response.body).to.not.contain('class="previous"');
+
+            // browse a bag using the same permission checks as the web service
+            const bagDocument = bali.instance('/nebula/repositories/Bag/v1', {
+                $capacity: 10,
+                $lease: 60
+            }, debug);
+            bagDocument.setParameter('$permissions', '/acme/permissions/team/v1');
+            const bag = await storage.writeContract(await owner.notarizeDocument(bagDocument));
+            await storage.addMessage(bag, bali.instance('/nebula/examples/Message/v1', {
+                $description: '"This is an example message."'
+            }, debug));
+            const bagPath = generatePath('messages', bag);
+            const bagDigest = generateDigest(bag);
+            response = await browseRequest(member, bagPath, bagDigest);
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.contain('symbol">available<');
+            expect(response.body).to.contain('symbol">capacity<');
+            expect(response.body).to.contain('href="' + generatePath('contracts', bag) + '"');
+            expect((await browseRequest(stranger, bagPath, bagDigest)).statusCode).to.equal(403);
+            expect((await browseRequest(undefined, bagPath, bagDigest)).statusCode).to.equal(401);
+
+            // the explorer is read-only
+            const request = {
+                method: 'DELETE',
+                path: bagPath,
+                headers: {
+                    'accept': 'text/html',
+                    'nebula-credentials': await generateCredentials(owner, 'DELETE', bagPath),
+                    'nebula-digest': bagDigest
+                }
+            };
+            expect((await explorer.processRequest(request)).statusCode).to.equal(401);
+        });
+
+        it('should reset the notaries', async function() {
+            await owner.forgetKey();
+            await member.forgetKey();
+            await stranger.forgetKey();
+        });
+
+    });
+
+});
@@ -119,6 +119,47 @@ describe('Bali Document Repository™', function() {
             });
         });
 
+        it('should list the contracts in a namespace', async function() {
+            const names = await repository.listContracts('/nebula/examples/transaction');
+            expect(names.getSize()).to.equal(2);
+            expect(bali.areEqual(name, names.getItem(1))).is.true;
+
+            // list the contracts a page at a time
+            const first = await repository.listContracts('/nebula/examples/transaction', undefined, 1);
+            expect(first.getSize()).to.equal(1);
+            expect(bali.areEqual(names.getItem(1), first.getItem(1))).is.true;
+            const second = await repository.listContracts('/nebula/examples/transaction', first.getItem(1), 1);
+            expect(second.getSize()).to.equal(1);
+            expect(bali.areEqual(names.getItem(2), second.getItem(1))).is.true;
+            const last = await repository.listContracts('/nebula/examples/transaction', second.getItem(1), 1);
+            expect(last.getSize()).to.equal(0);
+        });
+
+        it('should retrieve the latest version of a contract', async function() {
+            const baseName = '/nebula/examples/transaction';
+            const nextName = bali.name(['nebula', 'examples', 'transaction', bali.version.nextVersion(version, 2)]);
+
+            // list the versions of the contract
+            const versions = await repository.listVersions(baseName);
+            expect(versions.getSize()).to.equal(2);
+            expect(bali.areEqual(name, versions.getItem(1))).is.true;
+            expect(bali.areEqual(nextName, versions.getItem(2))).is.true;
+
+            // retrieve the latest version of the contract
+            const contract = await repository.retrieveLatestContract(baseName);
+            expect(bali.areEqual(contract, await repository.retrieveContract(nextName))).is.true;
+            expect(await repository.retrieveLatestContract('/nebula/examples/nonexistent')).to.not.exist;
+        });
+
+        it('should retrieve the history of a contract', async function() {
+            const nextName = bali.name(['nebula', 'examples', 'transaction', bali.version.nextVersion(version, 2)]);
+            const history = await repository.contractHistory(nextName);
+            expect(history.getSize()).to.equal(2);
+            expect(bali.areEqual(history.getItem(1), await repository.retrieveContract(name))).is.true;
+            expect(bali.areEqual(history.getItem(2), await repository.retrieveContract(nextName))).is.true;
+            expect(await repository.contractHistory('/nebula/examples/nonexistent/v1')).to.not.exist;
+        });
+
         it('should perform a message bag lifecycle', async function() {
             // create the bag
             const bag = '/nebula/examples/bag/v1';
@@ -185,6 +226,132 @@ describe('Bali Document Repository™', function() {
             expect(await repository.retrieveMessage(bag)).to.not.exist;
         });
 
+        it('should move poison messages to a dead-letter bag', async function() {
+            // create the bags
+            const deadLetters = '/nebula/examples/dead/v1';
+            const bag = '/nebula/examples/poison/v1';
+            const permissions = '/nebula/permissions/public/v1';
+            await repository.createBag(deadLetters, permissions);
+            await repository.createBag(bag, permissions, 3, 60, 2, deadLetters);
+
+            // add a message to the bag
+            await repository.postMessage(bag, bali.catalog());
+            expect(await repository.messageCount(bag)).to.equal(1);
+
+            // reject the message until it reaches the maximum number of deliveries
+            var message = await repository.retrieveMessage(bag);
+            await repository.rejectMessage(message);
+            expect(await repository.messageCount(bag)).to.equal(1);
+            message = await repository.retrieveMessage(bag);
+            await repository.rejectMessage(message);
+            expect(await repository.messageCount(bag)).to.equal(0);
+            expect(await repository.messageCount(deadLetters)).to.equal(1);
+
+            // process the message from the dead-letter bag
+            message = await repository.retrieveMessage(deadLetters);
+            expect(message).to.exist;
+            expect(message.getAttribute('$bag').toString()).to.equal(deadLetters);
+            await repository.acceptMessage(message);
+            expect(await repository.messageCount(deadLetters)).to.equal(0);
+        });
+
+        it('should keep poison messages when the dead-letter bag is full', async function() {
+            // create the bags
+            const deadLetters = '/nebula/examples/full/v1';
+            const bag = '/nebula/examples/stuck/v1';
+            const permissions = '/nebula/permissions/public/v1';
+            await repository.createBag(deadLetters, permissions, 1);
+            await repository.createBag(bag, permissions, 3, 60, 1, deadLetters);
+            await repository.postMessage(deadLetters, bali.catalog());
+
+            // the rejected message stays in the bag
+            await repository.postMessage(bag, bali.catalog());
+            const message = await repository.retrieveMessage(bag);
+            await repository.rejectMessage(message);
+            expect(await repository.messageCount(bag)).to.equal(1);
+            expect(await repository.messageCount(deadLetters)).to.equal(1);
+        });
+
+        it('should retrieve a batch of messages', async function() {
+            // create the bag
+            const bag = '/nebula/examples/batch/v1';
+            const permissions = '/nebula/permissions/public/v1';
+            await repository.createBag(bag, permissions, 10);
+            expect((await repository.retrieveMessages(bag, 5)).isEmpty()).is.true;
+
+            // add some messages to the bag
+            for (var count = 1; count <= 7; count++) {
+                await repository.postMessage(bag, bali.catalog({$count: count}));
+            }
+
+            // retrieve the messages in batches
+            var messages = await repository.retrieveMessages(bag, 5);
+            expect(messages.getSize()).to.equal(5);
+            expect(await repository.messageCount(bag)).to.equal(2);
+            await repository.rejectMessage(messages.getItem(1));
+            expect(await repository.messageCount(bag)).to.equal(3);
+            const counts = [];
+            messages.toArray().slice(1).forEach(function(message) {
+                counts.push(message.getAttribute('$count').getMagnitude());
+            });
+            messages = await repository.retrieveMessages(bag, 5);
+            expect(messages.getSize()).to.equal(3);
+            messages.toArray().forEach(function(message) {
+                counts.push(message.getAttribute('$count').getMagnitude());
+            });
+            expect(counts.sort()).to.eql([1, 2, 3, 4, 5, 6, 7]);
+            expect(await repository.messageCount(bag)).to.equal(0);
+        });
+
+        it('should retrieve concurrent batches of messages', async function() {
+            const bag = '/nebula/examples/batches/v1';
+            const permissions = '/nebula/permissions/public/v1';
+            const repositories = [repository, Repository.repository(notary, Repository.memory(notary, debug), debug)];
+            for (var i = 0; i < repositories.length; i++) {
+                const current = repositories[i];
+                await current.createBag(bag, permissions, 10);
+                for (var count = 1; count <= 10; count++) {
+                    await current.postMessage(bag, bali.catalog({$count: count}));
+                }
+
+                // each message is retrieved by exactly one of the batches
+                const batches = await Promise.all([
+                    current.retrieveMessages(bag, 10),
+                    current.retrieveMessages(bag, 10)
+                ]);
+                const counts = [];
+                batches.forEach(function(messages) {
+                    messages.toArray().forEach(function(message) {
+                        counts.push(message.getAttribute('$count').getMagnitude());
+                    });
+                });
+                expect(counts.sort(function(a, b) { return a - b; })).to.eql([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+                expect(await current.messageCount(bag)).to.equal(0);
+            }
+        });
+
+        it('should wait for a message to arrive', async function() {
+            // create the bag
+            const bag = '/nebula/examples/waiting/v1';
+            const permissions = '/nebula/permissions/public/v1';
+            await repository.createBag(bag, permissions);
+
+            // give up once the wait has elapsed
+            var start = Date.now();
+            expect(await repository.retrieveMessage(bag, 1)).to.not.exist;
+            expect(Date.now() - start).to.be.at.least(1000);
+
+            // return as soon as a message arrives
+            start = Date.now();
+            setTimeout(function() {
+                repository.postMessage(bag, bali.catalog({$count: 1}));
+            }, 200);
+            const message = await repository.retrieveMessage(bag, 5);
+            expect(message).to.exist;
+            expect(Date.now() - start).to.be.below(5000);
+            await repository.acceptMessage(message);
+        });
+
         it('should perform an event publication', async function() {
             // create the event bag
             const bag = '/nebula/events/bag/v1';
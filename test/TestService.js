@@ -43,7 +43,7 @@ const router = express.Router();
 router.all(':identifier([a-zA-Z0-9/\\.]+)', processRequest);
 
 const service = express();
-service.use(bodyParser.text({ type: 'application/bali' }));
+service.use(bodyParser.text({ type: ['application/bali', 'application/json'] }));
 service.use('', router);
 
 service.listen(3000, function() {
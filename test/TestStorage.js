@@ -27,15 +27,58 @@ const configuration = {
     contracts: 'bali-nebula-contracts-us-east-1',
     messages: 'bali-nebula-messages-us-east-1'
 };
+if (process.env.S3_ENDPOINT) {
+    // use a local S3-compatible service (e.g. MinIO) instead of AWS S3
+    configuration.endpoint = process.env.S3_ENDPOINT;
+    configuration.region = process.env.S3_REGION || 'us-east-1';
+    configuration.forcePathStyle = true;
+    configuration.credentials = {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    };
+}
 
 const mechanisms = {
+    'Memory Storage': Storage.memory(notary, debug),
     'Local Storage': Storage.local(notary, directory, debug),
     'Cached Storage': Storage.cached(Storage.local(notary, directory, debug), debug),
     'Validated Storage': Storage.validated(notary, Storage.local(notary, directory, debug), debug),
+    'Cached Validated Memory Storage': Storage.cached(Storage.validated(notary, Storage.memory(notary, debug), debug), debug),
+    'Persistent Memory Storage': Storage.persistent(Storage.memory(notary, debug), directory + 'cache/', debug),
     'Remote Storage': Storage.remote(notary, uri, debug),
     'S3 Storage': Storage.s3(notary, configuration, debug)
 };
 
+const sleep = function(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+};
+
+/*
+ * This function starts a local service on an unused port that answers each request using the
+ * specified handler, activates a notary key for the request credentials, and passes the URI of
+ * the service to the specified test.  The service is always closed and the notary key forgotten
+ * once the test completes.
+ */
+const withService = async function(handler, test) {
+    const service = require('http').createServer(handler);
+    await new Promise(function(resolve) {
+        service.listen(0, 'localhost', resolve);
+    });
+    try {
+        // the request credentials require an active notary key
+        await notary.activateKey(await notary.notarizeDocument(await notary.generateKey()));
+        await test('http://localhost:' + service.address().port);
+    } finally {
+        await new Promise(function(resolve) {
+            service.close(resolve);
+            if (service.closeAllConnections) service.closeAllConnections();
+        });
+        await notary.forgetKey();
+    }
+};
+
 describe('Bali Document Repository™', function() {
 
     for (var key in mechanisms) {
@@ -78,6 +121,17 @@ describe('Bali Document Repository™', function() {
                 // fetch the named contract from the repository
                 expect(bali.areEqual(citation, await storage.readName(name))).is.true;
 
+                // list the names within the namespace
+                const names = await storage.listNames(bali.component('/nebula/certificates/' + tag.getValue()));
+                expect(names.getSize()).to.equal(1);
+                expect(bali.areEqual(name, names.getItem(1))).is.true;
+                expect((await storage.listNames(bali.component('/nebula/nonexistent'))).getSize()).to.equal(0);
+
+                // list the names a page at a time
+                const prefix = bali.component('/nebula/certificates/' + tag.getValue());
+                expect((await storage.listNames(prefix, undefined, 1)).getSize()).to.equal(1);
+                expect((await storage.listNames(prefix, names.getItem(1), 1)).getSize()).to.equal(0);
+
                 // attempt to create the same name in the repository
                 await assert.rejects(async function() {
                     await storage.writeName(name, citation);
@@ -103,6 +157,17 @@ describe('Bali Document Repository™', function() {
                 // update the existing document in the repository
                 expect(bali.areEqual(citation, await storage.writeDocument(document))).is.true;
 
+                // update the existing document in the repository using its expected digest
+                expect(bali.areEqual(citation, await storage.writeDocument(document, citation.getAttribute('$digest')))).is.true;
+
+                // attempt to update the existing document in the repository using a stale digest
+                const stale = await notary.citeDocument(bali.instance('/nebula/examples/Stale/v1', {
+                    $stale: true
+                }, debug));
+                await assert.rejects(async function() {
+                    await storage.writeDocument(document, stale.getAttribute('$digest'));
+                });
+
                 // make sure the updated document exists in the repository
                 expect(await storage.documentExists(citation)).is.true;
 
@@ -146,6 +211,18 @@ describe('Bali Document Repository™', function() {
                 await assert.rejects(async function() {
                     await storage.writeContract(contract);
                 });
+
+                // attempt to create another contract twice at the same time
+                const duplicate = await notary.notarizeDocument(bali.instance('/nebula/examples/Transaction/v1', {
+                    $quantity: 7
+                }, debug));
+                const results = await Promise.allSettled([
+                    storage.writeContract(duplicate),
+                    storage.writeContract(duplicate)
+                ]);
+                expect(results.filter(function(result) {
+                    return result.status === 'fulfilled';
+                }).length).to.equal(1);
             });
 
             it('should perform a message bag lifecycle', async function() {
@@ -226,6 +303,71 @@ describe('Bali Document Repository™', function() {
                 expect(message).to.not.exist;
             });
 
+            it('should remove a batch of messages', async function() {
+                // create the bag
+                const contract = await notary.notarizeDocument(bali.instance('/nebula/examples/Bag/v1', {
+                    $capacity: 10
+                }), debug);
+                const bag = await storage.writeContract(contract);
+                expect((await storage.removeMessages(bag, 3)).isEmpty()).is.true;
+
+                // add some messages to the bag
+                for (var count = 1; count <= 4; count++) {
+                    await storage.addMessage(bag, bali.instance('/nebula/examples/Message/v1', {
+                        $description: '"This is an example message."',
+                        $count: count
+                    }, debug));
+                }
+
+                // remove the messages from the bag in batches
+                var messages = await storage.removeMessages(bag, 3);
+                expect(messages.getSize()).to.equal(3);
+                expect(await storage.messageCount(bag)).to.equal(1);
+                messages = messages.toArray().concat((await storage.removeMessages(bag, 3)).toArray());
+                expect(messages.length).to.equal(4);
+                expect(await storage.messageAvailable(bag)).is.false;
+
+                // the removed messages are leased
+                for (var i = 0; i < messages.length; i++) {
+                    const citation = await notary.citeDocument(messages[i]);
+                    expect(bali.areEqual(messages[i], await storage.deleteMessage(bag, citation))).is.true;
+                }
+            });
+
+            it('should expire a message lease', async function() {
+                // create a bag with a one second lease
+                const contract = await notary.notarizeDocument(bali.instance('/nebula/examples/Bag/v1', {
+                    $capacity: 10,
+                    $lease: 1
+                }), debug);
+                const bag = await storage.writeContract(contract);
+
+                // add a message to the bag
+                const message = bali.instance('/nebula/examples/Message/v1', {
+                    $description: '"This is an example message."'
+                }, debug);
+                await storage.addMessage(bag, message);
+                expect(await storage.messageCount(bag)).to.equal(1);
+
+                // borrow the message and let its lease expire
+                const borrowed = await storage.removeMessage(bag);
+                expect(borrowed).to.exist;
+                expect(await storage.messageCount(bag)).to.equal(0);
+                await sleep(1500);
+
+                // the message should be available again with a new version
+                expect(await storage.messageAvailable(bag)).is.true;
+                expect(await storage.messageCount(bag)).to.equal(1);
+                const citation = await notary.citeDocument(borrowed);
+                await assert.rejects(async function() {
+                    await storage.deleteMessage(bag, citation);
+                });
+                const returned = await storage.removeMessage(bag);
+                expect(bali.areEqual(returned.getParameter('$version'), bali.version.nextVersion(borrowed.getParameter('$version')))).is.true;
+                expect(bali.areEqual(returned, await storage.deleteMessage(bag, await notary.citeDocument(returned)))).is.true;
+                expect(await storage.messageCount(bag)).to.equal(0);
+            });
+
             it('should reset the notary', async function() {
                 await notary.forgetKey();
             });
@@ -234,4 +376,534 @@ describe('Bali Document Repository™', function() {
 
     }
 
+    describe('Test Document Updates', function() {
+
+        it('should allow only one of two concurrent updates using the same digest', async function() {
+            const document = bali.instance('/nebula/examples/Transaction/v1', {
+                $quantity: 10
+            }, debug);
+            const citation = await notary.citeDocument(document);
+            const first = bali.duplicate(document);
+            first.setAttribute('$quantity', 11);
+            const second = bali.duplicate(document);
+            second.setAttribute('$quantity', 12);
+            const storages = [Storage.memory(notary, debug), Storage.local(notary, directory, debug)];
+            for (var i = 0; i < storages.length; i++) {
+                const storage = storages[i];
+                await storage.writeDocument(document);
+                const results = await Promise.allSettled([
+                    storage.writeDocument(first, citation.getAttribute('$digest')),
+                    storage.writeDocument(second, citation.getAttribute('$digest'))
+                ]);
+                expect(results.filter(function(result) {
+                    return result.status === 'fulfilled';
+                }).length).to.equal(1);
+                await storage.deleteDocument(citation);
+            }
+        });
+
+    });
+
+    describe('Test Persistent Cache', function() {
+
+        it('should read the cached contracts after a restart', async function() {
+            const cache = directory + 'persistent/';
+            const contract = bali.catalog({
+                $document: bali.instance('/nebula/examples/Transaction/v1', {
+                    $quantity: 3
+                }, debug)
+            });
+            const citation = await Storage.persistent(Storage.memory(notary, debug), cache, debug).writeContract(contract);
+
+            // a new process starts with an empty backend but the same cache directory
+            const storage = Storage.persistent(Storage.memory(notary, debug), cache, debug);
+            expect(await storage.contractExists(citation)).is.true;
+            expect(bali.areEqual(contract, await storage.readContract(citation))).is.true;
+            expect(await storage.documentExists(citation)).is.false;
+        });
+
+        it('should only cache the contracts of a client that names a directory', function() {
+            // a browser has no home directory
+            const os = require('os');
+            const homedir = os.homedir;
+            os.homedir = function() {
+                throw new Error('There is no filesystem.');
+            };
+            try {
+                expect(Storage.client(notary, uri, debug)).to.exist;
+                expect(Storage.client(notary, uri, {directory: directory + 'client/'}, debug)).to.exist;
+            } finally {
+                os.homedir = homedir;
+            }
+        });
+
+    });
+
+    describe('Test Remote Retries', function() {
+
+        it('should retry only the idempotent requests', async function() {
+            // start a service that is temporarily unavailable
+            var requests = 0;
+            await withService(function(request, response) {
+                requests++;
+                response.statusCode = 503;
+                response.end();
+            }, async function(address) {
+                const storage = Storage.remote(notary, address, {retries: 2, backoff: 0.01}, debug);
+                const bag = bali.catalog({
+                    $protocol: 'v2',
+                    $tag: bali.tag(),
+                    $version: 'v1',
+                    $digest: 'none'
+                });
+                await assert.rejects(async function() {
+                    await storage.messageCount(bag);
+                });
+                expect(requests).to.equal(3);
+                requests = 0;
+                await assert.rejects(async function() {
+                    await storage.removeMessage(bag);
+                });
+                expect(requests).to.equal(1);
+            });
+        });
+
+        it('should recognize a name created by an attempt whose response was lost', async function() {
+            // start a service that drops the connection after creating the name
+            const names = {};
+            await withService(function(request, response) {
+                const path = request.url;
+                if (request.method === 'GET') {
+                    response.statusCode = names[path] ? 200 : 404;
+                    response.setHeader('content-type', 'application/bali');
+                    return response.end(names[path]);
+                }
+                var body = '';
+                request.on('data', function(chunk) {
+                    body += chunk;
+                });
+                request.on('end', function() {
+                    if (names[path]) {
+                        response.statusCode = 409;
+                        return response.end();
+                    }
+                    names[path] = body;
+                    request.socket.destroy();  // the response is lost
+                });
+            }, async function(address) {
+                const storage = Storage.remote(notary, address, {retries: 1, backoff: 0.01}, debug);
+                const citation = bali.catalog({
+                    $protocol: 'v2',
+                    $tag: bali.tag(),
+                    $version: 'v1',
+                    $digest: 'none'
+                });
+                const name = bali.component('/nebula/examples/retried/v1');
+                expect(bali.areEqual(citation, await storage.writeName(name, citation))).is.true;
+
+                // a different citation with the same name is still a conflict
+                const other = bali.component('/nebula/examples/other/v1');
+                expect(bali.areEqual(citation, await storage.writeName(other, citation))).is.true;
+                await assert.rejects(async function() {
+                    await storage.writeName(other, bali.catalog({
+                        $protocol: 'v2',
+                        $tag: bali.tag(),
+                        $version: 'v1',
+                        $digest: 'none'
+                    }));
+                }, function(exception) {
+                    return exception.getAttribute('$exception').toString() === '$status409';
+                });
+            });
+        });
+
+    });
+
+    describe('Test Remote Conditional Requests', function() {
+
+        it('should reuse a held copy of an unmodified name', async function() {
+            // start a service that honors conditional requests
+            const citation = bali.catalog({
+                $protocol: 'v2',
+                $tag: bali.tag(),
+                $version: 'v1',
+                $digest: 'none'
+            });
+            const etag = '"' + bali.tag().toString().slice(1) + '"';
+            const conditions = [];
+            await withService(function(request, response) {
+                conditions.push(request.headers['if-none-match']);
+                response.setHeader('etag', etag);
+                if (request.headers['if-none-match'] === etag) {
+                    response.statusCode = 304;
+                    return response.end();
+                }
+                response.statusCode = 200;
+                response.setHeader('content-type', 'application/bali');
+                response.end(citation.toString());
+            }, async function(address) {
+                const storage = Storage.remote(notary, address, {retries: 0}, debug);
+                const name = bali.component('/nebula/examples/conditional/v1');
+                expect(bali.areEqual(citation, await storage.readName(name))).is.true;
+                expect(bali.areEqual(citation, await storage.readName(name))).is.true;
+                expect(conditions).to.eql([undefined, etag]);
+            });
+        });
+
+    });
+
+    describe('Test Remote Long Polling', function() {
+
+        it('should ask the service to hold the request', async function() {
+            // start a service that holds the request before finding the bag empty
+            var wait;
+            await withService(function(request, response) {
+                wait = request.headers['nebula-wait'];
+                setTimeout(function() {
+                    response.statusCode = 404;
+                    response.end();
+                }, 300);
+            }, async function(address) {
+                // the response takes longer than the timeout but not the timeout plus the wait
+                const storage = Storage.remote(notary, address, {timeout: 0.1, retries: 0}, debug);
+                const bag = bali.catalog({
+                    $protocol: 'v2',
+                    $tag: bali.tag(),
+                    $version: 'v1',
+                    $digest: 'none'
+                });
+                expect(await storage.removeMessage(bag, 1)).to.not.exist;
+                expect(wait).to.equal('1');
+            });
+        });
+
+    });
+
+    describe('Test Remote Circuit Breaker', function() {
+
+        it('should fail fast while the service is down', async function() {
+            // start a service that drops every connection until it recovers
+            var requests = 0;
+            var recovered = false;
+            await withService(function(request, response) {
+                requests++;
+                if (!recovered) return request.socket.destroy();
+                response.statusCode = 404;
+                response.end();
+            }, async function(address) {
+                const options = {retries: 0, threshold: 2, cooldown: 0.2};
+                const storage = Storage.remote(notary, address, options, debug);
+                const name = bali.component('/nebula/examples/missing/v1');
+                expect(storage.health().getAttribute('$state').toString()).to.equal('$closed');
+
+                // trip the circuit breaker
+                for (var i = 0; i < 2; i++) {
+                    await assert.rejects(async function() {
+                        await storage.nameExists(name);
+                    }, function(exception) {
+                        return exception.getAttribute('$exception').toString() === '$serverDown';
+                    });
+                }
+                expect(storage.health().getAttribute('$state').toString()).to.equal('$open');
+                await assert.rejects(async function() {
+                    await storage.nameExists(name);
+                }, function(exception) {
+                    return exception.getAttribute('$exception').toString() === '$circuitOpen';
+                });
+                expect(requests).to.equal(2);
+
+                // probe the recovered service after the cooldown
+                recovered = true;
+                await sleep(300);
+                expect(await storage.nameExists(name)).is.false;
+                expect(storage.health().getAttribute('$state').toString()).to.equal('$closed');
+                expect(requests).to.equal(3);
+            });
+        });
+
+        it('should reopen the circuit when a probe cannot be sent', async function() {
+            // start a service that drops every connection until it recovers
+            var requests = 0;
+            var recovered = false;
+            await withService(function(request, response) {
+                requests++;
+                if (!recovered) return request.socket.destroy();
+                response.statusCode = 404;
+                response.end();
+            }, async function(address) {
+                const options = {retries: 0, threshold: 1, cooldown: 0.2};
+                const storage = Storage.remote(notary, address, options, debug);
+                const name = bali.component('/nebula/examples/missing/v1');
+
+                // trip the circuit breaker
+                await assert.rejects(async function() {
+                    await storage.nameExists(name);
+                });
+                expect(storage.health().getAttribute('$state').toString()).to.equal('$open');
+
+                // the probe fails before it is sent since the request credentials cannot be generated
+                recovered = true;
+                await sleep(300);
+                await notary.forgetKey();
+                await assert.rejects(async function() {
+                    await storage.nameExists(name);
+                }, function(exception) {
+                    return exception.getAttribute('$exception').toString() === '$malformedRequest';
+                });
+                expect(storage.health().getAttribute('$state').toString()).to.equal('$open');
+                expect(requests).to.equal(1);
+
+                // probe the recovered service again after another cooldown
+                await notary.activateKey(await notary.notarizeDocument(await notary.generateKey()));
+                await sleep(300);
+                expect(await storage.nameExists(name)).is.false;
+                expect(storage.health().getAttribute('$state').toString()).to.equal('$closed');
+                expect(requests).to.equal(2);
+            });
+        });
+
+    });
+
+    describe('Test Name Expiration', function() {
+
+        it('should briefly remember missing names', async function() {
+            const backend = Storage.memory(notary, debug);
+            const storage = Storage.cached(backend, {ttl: 0.5, negativeTtl: 0.5}, debug);
+            const name = bali.component('/nebula/examples/published/v1');
+            const citation = bali.catalog({
+                $protocol: 'v2',
+                $tag: bali.tag(),
+                $version: 'v1',
+                $digest: 'none'
+            });
+
+            // the name is missing until another process publishes it
+            expect(await storage.nameExists(name)).is.false;
+            await backend.writeName(name, citation);
+            expect(await storage.nameExists(name)).is.false;
+            expect(await storage.readName(name)).to.not.exist;
+            await sleep(600);
+            expect(bali.areEqual(citation, await storage.readName(name))).is.true;
+            expect(await storage.nameExists(name)).is.true;
+
+            // the cached name expires as well
+            await sleep(600);
+            expect(await storage.nameExists(name)).is.true;
+            const statistics = storage.getStatistics();
+            expect(statistics.getAttribute('$missing').getAttribute('$hits').getMagnitude()).to.equal(2);
+            expect(statistics.getAttribute('$missing').getAttribute('$expirations').getMagnitude()).to.equal(1);
+            expect(statistics.getAttribute('$names').getAttribute('$expirations').getMagnitude()).to.equal(1);
+        });
+
+    });
+
+    describe('Test Cache Eviction', function() {
+
+        it('should evict the least recently used names', async function() {
+            const storage = Storage.cached(Storage.memory(notary, debug), {size: 2}, debug);
+            const citation = bali.catalog({
+                $protocol: 'v2',
+                $tag: bali.tag(),
+                $version: 'v1',
+                $digest: 'none'
+            });
+            const first = bali.component('/nebula/examples/first/v1');
+            const second = bali.component('/nebula/examples/second/v1');
+            const third = bali.component('/nebula/examples/third/v1');
+            await storage.writeName(first, citation);
+            await storage.writeName(second, citation);
+
+            // use the first name so that the second name is the least recently used
+            expect(bali.areEqual(citation, await storage.readName(first))).is.true;
+            await storage.writeName(third, citation);
+            expect(bali.areEqual(citation, await storage.readName(first))).is.true;
+            expect(bali.areEqual(citation, await storage.readName(second))).is.true;  // read from the backend
+
+            const statistics = storage.getStatistics().getAttribute('$names');
+            expect(statistics.getAttribute('$capacity').getMagnitude()).to.equal(2);
+            expect(statistics.getAttribute('$size').getMagnitude()).to.equal(2);
+            expect(statistics.getAttribute('$hits').getMagnitude()).to.equal(2);
+            expect(statistics.getAttribute('$misses').getMagnitude()).to.equal(1);
+            expect(statistics.getAttribute('$evictions').getMagnitude()).to.equal(2);
+        });
+
+        it('should support the signatures with and without options', function() {
+            const capacity = function(storage) {
+                return storage.getStatistics().getAttribute('$names').getAttribute('$capacity').getMagnitude();
+            };
+            const expected = capacity(Storage.cached(Storage.memory(notary, debug), debug));
+            expect(capacity(Storage.cached(Storage.memory(notary, debug), null, debug))).to.equal(expected);
+            expect(capacity(Storage.cached(Storage.memory(notary, debug), undefined, debug))).to.equal(expected);
+            expect(capacity(Storage.cached(Storage.memory(notary, debug), {size: 2}, debug))).to.equal(2);
+            expect(Storage.client(notary, uri, null, debug)).to.exist;
+        });
+
+    });
+
+    describe('Test S3 Requests', function() {
+
+        const s3 = function(send) {
+            // use a fake S3 client that answers each command using the specified function
+            return Storage.s3(notary, Object.assign({client: {send: send}}, configuration), debug);
+        };
+
+        const failure = function(name, status) {
+            // create an error shaped like the ones thrown by the S3 client
+            const error = new Error('The S3 request failed with ' + name + '.');
+            error.name = name;
+            error.$metadata = {httpStatusCode: status};
+            return error;
+        };
+
+        const name = bali.component('/nebula/examples/s3/v1');
+
+        const expectException = async function(storage, type) {
+            await assert.rejects(async function() {
+                await storage.readName(name);
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === type;
+            });
+        };
+
+        it('should only create a name that does not exist', async function() {
+            const objects = {};
+            const storage = s3(async function(command) {
+                const request = command.input;
+                const key = request.Bucket + '/' + request.Key;
+                if (request.IfNoneMatch === '*' && objects[key]) throw failure('PreconditionFailed', 412);
+                objects[key] = request.Body;
+                return {};
+            });
+            const citation = bali.catalog({
+                $protocol: 'v2',
+                $tag: bali.tag(),
+                $version: 'v1',
+                $digest: 'none'
+            });
+            await storage.writeName(name, citation);
+            await assert.rejects(async function() {
+                await storage.writeName(name, citation);
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$nameExists';
+            });
+        });
+
+        it('should retry a create that collides with a concurrent write', async function() {
+            const objects = {};
+            var collisions = 1;
+            const storage = s3(async function(command) {
+                const request = command.input;
+                const key = request.Bucket + '/' + request.Key;
+                if (collisions-- > 0) {
+                    // the other write finishes while this one is being retried
+                    objects[key] = request.Body;
+                    throw failure('ConditionalRequestConflict', 409);
+                }
+                if (request.IfNoneMatch === '*' && objects[key]) throw failure('PreconditionFailed', 412);
+                objects[key] = request.Body;
+                return {};
+            });
+            const citation = bali.catalog({
+                $protocol: 'v2',
+                $tag: bali.tag(),
+                $version: 'v1',
+                $digest: 'none'
+            });
+            await assert.rejects(async function() {
+                await storage.writeName(name, citation);
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$nameExists';
+            });
+
+            // a collision with a write that never completes does not mean the name exists
+            collisions = 1;
+            const other = s3(async function() {
+                if (collisions-- > 0) throw failure('ConditionalRequestConflict', 409);
+                return {};
+            });
+            expect(bali.areEqual(citation, await other.writeName(name, citation))).is.true;
+        });
+
+        it('should merge the pages of a truncated listing', async function() {
+            const keys = ['rv/a/v1.bali', 'rv/a/v1.2.bali', 'rv/a/v2.bali', 'rv/b/v1.bali'].sort();  // S3 key order
+            const requests = [];
+            const storage = s3(async function(command) {
+                // return at most two matching keys per page
+                const request = command.input;
+                requests.push(request);
+                const matches = keys.filter(function(key) {
+                    return key.startsWith(request.Prefix) && !(request.StartAfter && key <= request.StartAfter);
+                });
+                const offset = request.ContinuationToken ? Number(request.ContinuationToken) : 0;
+                const limit = Math.min(request.MaxKeys || 2, 2);
+                const truncated = offset + limit < matches.length;
+                return {
+                    Contents: matches.slice(offset, offset + limit).map(function(key) {
+                        return {Key: key};
+                    }),
+                    IsTruncated: truncated,
+                    NextContinuationToken: truncated ? String(offset + limit) : undefined
+                };
+            });
+            const prefix = bali.component('/rv');
+            const names = await storage.listNames(prefix);
+            expect(requests.length).to.equal(2);
+            expect(requests[1].ContinuationToken).to.equal('2');
+            expect(names.toString()).to.equal(bali.list(['/rv/a/v1', '/rv/a/v1.2', '/rv/a/v2', '/rv/b/v1']).toString());
+
+            // the pages follow the same name order as the other storage mechanisms
+            var page = await storage.listNames(prefix, undefined, 2);
+            expect(page.toString()).to.equal(bali.list(['/rv/a/v1', '/rv/a/v1.2']).toString());
+            page = await storage.listNames(prefix, bali.component('/rv/a/v1.2'), 2);
+            expect(page.toString()).to.equal(bali.list(['/rv/a/v2', '/rv/b/v1']).toString());
+            page = await storage.listNames(prefix, bali.component('/rv/b/v1'), 2);
+            expect(page.isEmpty()).is.true;
+        });
+
+        it('should treat a missing object as a missing component', async function() {
+            const storage = s3(async function() {
+                throw failure('NoSuchKey', 404);
+            });
+            expect(await storage.readName(name)).to.not.exist;
+            expect(await storage.nameExists(name)).is.false;
+        });
+
+        it('should treat a missing bucket as a storage failure', async function() {
+            const storage = s3(async function() {
+                throw failure('NoSuchBucket', 404);
+            });
+            await expectException(storage, '$storageFailure');
+        });
+
+        it('should report requests that are not authorized', async function() {
+            await expectException(s3(async function() {
+                throw failure('AccessDenied', 403);
+            }), '$accessDenied');
+            await expectException(s3(async function() {
+                throw failure('UnknownError', 401);
+            }), '$accessDenied');
+        });
+
+        it('should report requests that may be retried', async function() {
+            await expectException(s3(async function() {
+                throw failure('SlowDown', 503);
+            }), '$serviceUnavailable');
+            await expectException(s3(async function() {
+                throw failure('UnknownError', 500);
+            }), '$serviceUnavailable');
+            await expectException(s3(async function() {
+                const error = new Error('The connection was reset.');
+                error.code = 'ECONNRESET';
+                throw error;
+            }), '$serviceUnavailable');
+        });
+
+        it('should report any other failures', async function() {
+            await expectException(s3(async function() {
+                throw failure('InvalidRequest', 400);
+            }), '$storageFailure');
+        });
+
+    });
+
 });